@@ -21,6 +21,58 @@
     let topStepsData = [];
     let topStepsSortField = 'rank';
     let topStepsSortDirection = 'asc';
+    // Multi-run trend state (earlier run payloads, oldest first)
+    let runHistory = [];
+    const trendCharts = {};
+    // Run comparison (diff mode) state
+    let baselineRun = null;
+    let diffByTest = new Map();
+    let removedTests = [];
+    let diffFilter = '';
+    let performanceRegressions = []; // slowdowns against the baseline run, largest change first
+    // Flaky test state
+    let flakyTests = [];
+    let flakySortField = 'score';
+    let flakySortDirection = 'desc';
+
+    let failureClusterRows = [];
+    let expandedTests = new Set();
+
+    let customFailureRules = null; // { mode, rules, errors, source } when payload or user rules are active
+    let rowActionsWired = false;
+
+    let ownershipRules = []; // parsed owners file, last matching rule wins
+    let ownershipSource = null;
+    
+    let triageState = { patterns: {}, tests: {} }; // report triage file overlaid with browser edits
+    let triageEditing = null; // { kind, key } while the triage dialog is open
+    let clusterKeyByPattern = new Map(); // pattern key -> key of the displayed cluster it was merged into
+    
+    let knownIssues = []; // parsed known-issues file, in file order
+    let knownIssueByTest = new Map(); // failing test -> active known-issue entry it matches
+    
+    let galleryItems = []; // tests with screenshots, in gallery order
+    let galleryIndex = -1; // lightbox position, -1 while closed
+    let galleryObserver = null;
+    
+    let compareState = null; // { current, baseline, mode, diff } while the screenshot modal compares against the baseline run
+
+    let selectedSuite = ''; // suite open in the Suites section
+    let suiteIndex = null; // suite name -> tests, built on first use
+
+    let facetSelection = new Set(); // "key:value" facets ticked in the Test Results sidebar
+    let facetMode = 'all'; // 'all' (AND) or 'any' (OR)
+    let facetExpanded = new Set(); // facet keys showing all of their values
+    let facetSourceTests = []; // tests matching every filter except the facets, for the facet counts
+    let testCaseIdRegex = null;
+
+    let requirements = []; // parsed requirements file, in file order
+    let coverageRowKey = ''; // facet key of the coverage matrix rows
+    let coverageColumnKey = null; // facet key of the coverage matrix columns; '' for suites, null until chosen
+    let coverageMatrix = { rows: [], columns: [] }; // last rendered matrix, for export
+
+    let restoringUrlState = true; // until the initial restore, so init-time renders don't rewrite the URL
+    let urlStateWritePending = false;
 
     const qs = sel => document.querySelector(sel);
     const qsa = sel => Array.from(document.querySelectorAll(sel));
@@ -31,9 +83,21 @@
             hydrateReportData();
             console.log('✅ Data hydration successful');
             
+            hydrateEmbeddedScreenshots();
+            if (embeddedScreenshots) console.log('✅ Embedded screenshots:', embeddedScreenshots.size);
+            
+            hydrateRunHistory();
+            console.log('✅ Run history loaded:', runHistory.length, 'previous runs');
+            
             applyStoredTheme();
             console.log('✅ Theme applied');
             
+            loadKnownIssues();
+            console.log('✅ Known issues loaded:', knownIssues.length, 'entries,', knownIssueByTest.size, 'matching failures');
+            
+            loadRequirements();
+            console.log('✅ Requirements loaded:', requirements.length, 'entries');
+            
             buildDashboard();
             console.log('✅ Dashboard built');
             
@@ -49,20 +113,38 @@
             loadTopSteps();
             console.log('✅ Top steps loaded');
             
+            loadOwnership();
+            console.log('✅ Ownership loaded:', ownershipRules.length, 'rules');
+            
+            loadFailureRules();
+            console.log('✅ Failure rules ready:', customFailureRules ? customFailureRules.rules.length + ' custom' : 'built-in only');
+            
+            loadTriage();
+            console.log('✅ Triage loaded:', Object.keys(triageState.patterns).length, 'patterns,', Object.keys(triageState.tests).length, 'tests');
+            
             loadFailureAnalysis();
             console.log('✅ Failure analysis loaded');
             
+            loadFlakyTests();
+            console.log('✅ Flaky tests loaded');
+            
+            loadQualityInsights();
+            console.log('✅ Quality insights loaded');
+            
             setupEvents();
             console.log('✅ Events setup');
             
+            refreshBaselineOptions();
+            console.log('✅ Baseline comparison ready');
+            
             addFilterLabels();
             console.log('✅ Filter labels added');
             
             filteredTests = [...(reportData.testResults || [])];
             console.log('✅ Filtered tests initialized:', filteredTests.length, 'tests');
             
-            applyFilters();
-            console.log('✅ Filters applied');
+            restoreUrlState();
+            console.log('✅ Filters applied from URL state:', location.hash || '(default view)');
             
             console.log('🎉 Report initialization completed successfully!');
         } catch (err) { 
@@ -153,22 +235,890 @@
         
         console.log('Building dashboard with overview:', o);
         
+        renderMetricsGrid();
+        setGeneratedTime();
+        renderHealthGauge();
+        createStatusChart();
+        renderTrendCharts();
+    }
+
+    function renderMetricsGrid() {
+        const o = reportData?.overview;
+        const grid = qs('#metricsGrid');
+        if (!o || !grid) return;
+        const tests = reportData.testResults || [];
         const metrics = [
             { key:'total', label:'Total Tests', value:o.totalTests || 0, className:'', desc:'Total executed tests.' },
             { key:'passed', label:'Passed', value:o.passedTests || 0, className:'success', desc:'Tests that met all assertions.' },
-            { key:'failed', label:'Failed', value:o.failedTests || 0, className:(o.failedTests||0)?'error':'', desc:'Functional assertion failures.' },
-            { key:'broken', label:'Broken', value:o.brokenTests || 0, className:(o.brokenTests||0)?'warning':'', desc:'Infrastructure / unexpected errors.' },
+            { key:'failed', label:'Failed', value:o.failedTests || 0, className:(o.failedTests||0)?'error':'', desc:'Functional assertion failures.', split:buildKnownSplit(tests.filter(t => t.status === 'Failed')) },
+            { key:'broken', label:'Broken', value:o.brokenTests || 0, className:(o.brokenTests||0)?'warning':'', desc:'Infrastructure / unexpected errors.', split:buildKnownSplit(tests.filter(t => t.status === 'Broken')) },
             { key:'passRate', label:'Pass Rate', value:(o.passRate||0).toFixed(1)+'%', className:(o.passRate||0)>=80?'success':'warning', desc:'Passed ÷ Total × 100.' },
             { key:'time', label:'Execution Time', value:o.executionTime || 'Unknown', className:'', desc:'Aggregated total duration.' }
         ];
-        grid.innerHTML = metrics.map(m=>`<div class="metric-card ${m.className}" tabindex="0" data-help="${escapeAttr(m.desc)}"><div class="metric-label">${escapeHtml(m.label)}</div><div class="metric-value">${escapeHtml(String(m.value))}</div></div>`).join('');
-        setGeneratedTime();
-        createStatusChart();
+        grid.innerHTML = metrics.map(m=>`<div class="metric-card ${m.className}" tabindex="0" data-help="${escapeAttr(m.desc)}"><div class="metric-label">${escapeHtml(m.label)}</div><div class="metric-value">${escapeHtml(String(m.value))}</div>${m.split || ''}</div>`).join('');
+        renderDiffMetrics(); // the run comparison cards live in the same grid
+    }
+
+    /* Health Gauge */
+    const HEALTH_BANDS = [
+        { min: 80, key: 'good', label: 'Go' },
+        { min: 60, key: 'warning', label: 'Caution' },
+        { min: 0, key: 'critical', label: 'No-Go' }
+    ];
+
+    function getHealthBand(score){ return HEALTH_BANDS.find(b => score >= b.min) || HEALTH_BANDS[HEALTH_BANDS.length - 1]; }
+
+    function renderHealthGauge(){
+        const gauge = qs('#healthGauge');
+        const panel = qs('#healthBreakdown');
+        const o = reportData?.overview;
+        if (!gauge || !o || typeof o.healthScore !== 'number') { if (gauge) gauge.closest('.health-row').hidden = true; return; }
+        const score = Math.max(0, Math.min(100, o.healthScore));
+        const band = getHealthBand(score);
+        // Semicircle arc: radius 50, so its length is π·50; dash offset reveals the score fraction.
+        const arcLength = Math.PI * 50;
+        gauge.className = `health-gauge health-${band.key}`;
+        gauge.innerHTML = `
+            <svg viewBox="0 0 120 70" class="health-gauge-svg" aria-hidden="true">
+                <path d="M10 60 A50 50 0 0 1 110 60" class="health-gauge-track" />
+                <path d="M10 60 A50 50 0 0 1 110 60" class="health-gauge-value" stroke-dasharray="${arcLength.toFixed(2)}" stroke-dashoffset="${(arcLength * (1 - score / 100)).toFixed(2)}" />
+            </svg>
+            <div class="health-gauge-score">${score}</div>
+            <div class="health-gauge-label">Health Score · ${escapeHtml(band.label)}</div>`;
+        gauge.setAttribute('aria-label', `Health score ${score} of 100 (${band.label}). Show breakdown`);
+
+        const breakdown = o.healthBreakdown || {};
+        const failurePenalty = breakdown.failureRatePenalty ?? Math.trunc(o.failureRate || 0);
+        const failedPenalty = breakdown.failedTestPenalty ?? (o.failedTests || 0);
+        if (panel) {
+            panel.innerHTML = `
+                <h4>How the score is calculated</h4>
+                <table class="health-breakdown-table">
+                    <tbody>
+                        <tr><td>Starting score</td><td>100</td></tr>
+                        <tr><td>Failure rate ${(o.failureRate || 0).toFixed(1)}% (failed + broken ÷ total)</td><td>−${failurePenalty}</td></tr>
+                        <tr><td>Failed tests (${failedPenalty})</td><td>−${failedPenalty}</td></tr>
+                        <tr class="health-total"><td>Health score (clamped 0–100)</td><td>${score}</td></tr>
+                    </tbody>
+                </table>
+                <p class="health-note">Pass rate ${(o.passRate || 0).toFixed(1)}% (${o.passedTests || 0} of ${o.totalTests || 0} tests). Bands: ≥80 Go, 60–79 Caution, &lt;60 No-Go.</p>`;
+        }
+        if (!gauge.dataset.bound) {
+            gauge.dataset.bound = 'true';
+            gauge.addEventListener('click', () => {
+                if (!panel) return;
+                panel.hidden = !panel.hidden;
+                gauge.setAttribute('aria-expanded', String(!panel.hidden));
+            });
+        }
     }
 
     function setGeneratedTime(){ const el = qs('#generatedTime'); if (el && reportData?.overview?.generatedAt) el.textContent = 'Generated: '+reportData.overview.generatedAt; }
 
-    function createStatusChart(){ const ctx = qs('#statusChart'); const o = reportData?.overview; if(!ctx||!window.Chart||!o) return; new Chart(ctx,{ type:'doughnut', data:{ labels:['Passed','Failed','Broken'], datasets:[{ data:[o.passedTests,o.failedTests,o.brokenTests], backgroundColor:['#34d399','#f87171','#fbbf24'], borderWidth:2 }]}, options:{ responsive:true, maintainAspectRatio:false, plugins:{ title:{display:true,text:'Test Status Distribution'}, legend:{position:'bottom'} } } }); }
+    function createStatusChart(){
+        const host = qs('#statusChart');
+        const o = reportData?.overview;
+        if(!host||!o) return;
+        host.innerHTML = svgCharts.doughnut([
+            { label:'Passed', value:o.passedTests || 0, color:'var(--success)' },
+            { label:'Failed', value:o.failedTests || 0, color:'var(--error)' },
+            { label:'Broken', value:o.brokenTests || 0, color:'var(--warning)' }
+        ], { title:'Test Status Distribution', center:`${(o.passRate || 0).toFixed(1)}%`, centerLabel:'pass rate' });
+    }
+
+    /* SVG Charts */
+    // Small dependency-free renderer: each chart returns markup for a .svg-chart host. Colors are CSS
+    // variables so charts follow data-theme; marks carry data-tip text for the shared hover tooltip.
+    const svgCharts = (() => {
+        const PALETTE = [1, 2, 3, 4, 5, 6].map(i => `var(--chart-${i})`);
+        const WIDTH = 600;
+        const ROW_HEIGHT = 24;
+        const LABEL_WIDTH = 170;
+        const fmt = v => Number.isInteger(v) ? String(v) : Number(v).toFixed(1);
+        const mark = tip => `tabindex="0" data-tip="${escapeAttr(tip)}"`;
+        const clip = (text, max) => text.length > max ? text.slice(0, max - 1) + '…' : text;
+        const title = text => text ? `<div class="svg-chart-title">${escapeHtml(text)}</div>` : '';
+        const legend = items => items.length > 1
+            ? `<div class="svg-chart-legend">${items.map(i => `<span class="svg-chart-key"><i style="background:${i.color}"></i>${escapeHtml(i.label)}${i.value !== undefined ? ` ${fmt(i.value)}` : ''}</span>`).join('')}</div>`
+            : '';
+        const svg = (height, body, label) => `<svg viewBox="0 0 ${WIDTH} ${height}" role="img" aria-label="${escapeAttr(label || '')}">${body}</svg>`;
+        const rowLabel = (text, y) => `<text class="svg-chart-label" x="${LABEL_WIDTH - 8}" y="${y}" text-anchor="end" dominant-baseline="middle"><title>${escapeHtml(text)}</title>${escapeHtml(clip(text, 24))}</text>`;
+
+        /** segments: [{ label, value, color }] */
+        function doughnut(segments, { title: heading = '', center = '', centerLabel = '' } = {}) {
+            const total = segments.reduce((sum, s) => sum + s.value, 0);
+            const radius = 70;
+            const circumference = 2 * Math.PI * radius;
+            let offset = 0;
+            const arcs = segments.filter(s => s.value > 0).map(s => {
+                const length = s.value / total * circumference;
+                const arc = `<circle class="svg-chart-mark" r="${radius}" cx="100" cy="100" fill="none" style="stroke:${s.color}" stroke-width="28" stroke-dasharray="${length.toFixed(2)} ${(circumference - length).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}" transform="rotate(-90 100 100)" ${mark(`${s.label}: ${fmt(s.value)} (${(s.value / total * 100).toFixed(1)}%)`)}/>`;
+                offset += length;
+                return arc;
+            }).join('');
+            const empty = total ? '' : `<circle r="${radius}" cx="100" cy="100" fill="none" class="svg-chart-track" stroke-width="28"/>`;
+            const middle = center ? `<text class="svg-chart-center" x="100" y="${centerLabel ? 96 : 100}" text-anchor="middle" dominant-baseline="middle">${escapeHtml(center)}</text>` +
+                (centerLabel ? `<text class="svg-chart-label" x="100" y="120" text-anchor="middle">${escapeHtml(centerLabel)}</text>` : '') : '';
+            return title(heading) + `<svg class="svg-chart-doughnut" viewBox="0 0 200 200" role="img" aria-label="${escapeAttr(heading)}">${empty}${arcs}${middle}</svg>` + legend(segments);
+        }
+
+        /** items: [{ label, value, color?, tip? }] as horizontal bars, one row each */
+        function hbar(items, { title: heading = '', max, format = fmt } = {}) {
+            const top = max || Math.max(1, ...items.map(i => i.value));
+            const span = WIDTH - LABEL_WIDTH - 60;
+            const rows = items.map((item, i) => {
+                const y = i * ROW_HEIGHT;
+                const width = Math.max(item.value > 0 ? 1 : 0, item.value / top * span);
+                return rowLabel(item.label, y + ROW_HEIGHT / 2) +
+                    `<rect class="svg-chart-track" x="${LABEL_WIDTH}" y="${y + 5}" width="${span}" height="${ROW_HEIGHT - 10}" rx="3"/>` +
+                    `<rect class="svg-chart-mark" x="${LABEL_WIDTH}" y="${y + 5}" width="${width.toFixed(1)}" height="${ROW_HEIGHT - 10}" rx="3" style="fill:${item.color || PALETTE[0]}" ${mark(item.tip || `${item.label}: ${format(item.value)}`)}/>` +
+                    `<text class="svg-chart-value" x="${(LABEL_WIDTH + width + 6).toFixed(1)}" y="${y + ROW_HEIGHT / 2}" dominant-baseline="middle">${escapeHtml(format(item.value))}</text>`;
+            }).join('');
+            return title(heading) + svg(items.length * ROW_HEIGHT, rows, heading);
+        }
+
+        /** categories: row labels; series: [{ label, color?, values[] }] stacked left to right per row */
+        function stacked(categories, series, { title: heading = '' } = {}) {
+            const colored = series.map((s, i) => ({ ...s, color: s.color || PALETTE[i % PALETTE.length] }));
+            const totals = categories.map((_, row) => colored.reduce((sum, s) => sum + (s.values[row] || 0), 0));
+            const top = Math.max(1, ...totals);
+            const span = WIDTH - LABEL_WIDTH - 60;
+            const rows = categories.map((category, row) => {
+                const y = row * ROW_HEIGHT;
+                let x = LABEL_WIDTH;
+                const parts = colored.filter(s => s.values[row] > 0).map(s => {
+                    const width = s.values[row] / top * span;
+                    const part = `<rect class="svg-chart-mark" x="${x.toFixed(1)}" y="${y + 5}" width="${width.toFixed(1)}" height="${ROW_HEIGHT - 10}" style="fill:${s.color}" ${mark(`${category} · ${s.label}: ${fmt(s.values[row])} of ${fmt(totals[row])}`)}/>`;
+                    x += width;
+                    return part;
+                }).join('');
+                return rowLabel(category, y + ROW_HEIGHT / 2) + parts +
+                    `<text class="svg-chart-value" x="${(x + 6).toFixed(1)}" y="${y + ROW_HEIGHT / 2}" dominant-baseline="middle">${fmt(totals[row])}</text>`;
+            }).join('');
+            return title(heading) + svg(categories.length * ROW_HEIGHT, rows, heading) + legend(colored);
+        }
+
+        /** labels: x positions; series: [{ label, color?, values[] }] (null values leave a gap) */
+        function line(labels, series, { title: heading = '', format = fmt } = {}) {
+            const height = 200, left = 44, bottom = 16, topPad = 8, right = 12;
+            const all = series.flatMap(s => s.values).filter(v => v !== null && v !== undefined);
+            const min = Math.min(0, ...all);
+            const max = Math.max(min + 1, ...all);
+            const x = i => left + (labels.length > 1 ? i / (labels.length - 1) : 0.5) * (WIDTH - left - right);
+            const y = v => topPad + (1 - (v - min) / (max - min)) * (height - topPad - bottom);
+            const grid = [0, 0.25, 0.5, 0.75, 1].map(f => {
+                const value = min + (max - min) * f;
+                return `<line class="svg-chart-grid" x1="${left}" x2="${WIDTH - right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}"/><text class="svg-chart-label" x="${left - 6}" y="${y(value).toFixed(1)}" text-anchor="end" dominant-baseline="middle">${escapeHtml(format(+value.toFixed(1)))}</text>`;
+            }).join('');
+            const lines = series.map((s, si) => {
+                const color = s.color || PALETTE[si % PALETTE.length];
+                const points = s.values.map((v, i) => v === null || v === undefined ? null : [x(i), y(v)]);
+                const segments = [];
+                let current = [];
+                points.forEach(p => { if (p) current.push(p); else if (current.length) { segments.push(current); current = []; } });
+                if (current.length) segments.push(current);
+                return segments.map(seg => `<polyline fill="none" style="stroke:${color}" stroke-width="2" points="${seg.map(p => p.map(n => n.toFixed(1)).join(',')).join(' ')}"/>`).join('') +
+                    points.map((p, i) => p ? `<circle class="svg-chart-mark" cx="${p[0].toFixed(1)}" cy="${p[1].toFixed(1)}" r="4" style="fill:${color}" ${mark(`${labels[i]}\n${s.label}: ${format(s.values[i])}`)}/>` : '').join('');
+            }).join('');
+            return title(heading) + svg(height, grid + lines, heading) + legend(series.map((s, i) => ({ label: s.label, color: s.color || PALETTE[i % PALETTE.length] })));
+        }
+
+        /** items: [{ label, value, color?, tip? }] as vertical columns, e.g. histogram buckets */
+        function columns(items, { title: heading = '', format = fmt } = {}) {
+            const height = 180, left = 36, bottom = 22, topPad = 10, right = 8;
+            const top = Math.max(1, ...items.map(i => i.value));
+            const slot = (WIDTH - left - right) / Math.max(1, items.length);
+            const y = v => topPad + (1 - v / top) * (height - topPad - bottom);
+            const grid = [0, top].map(value => `<line class="svg-chart-grid" x1="${left}" x2="${WIDTH - right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}"/><text class="svg-chart-label" x="${left - 6}" y="${y(value).toFixed(1)}" text-anchor="end" dominant-baseline="middle">${escapeHtml(format(value))}</text>`).join('');
+            const bars = items.map((item, i) => {
+                const x = left + i * slot;
+                const barTop = y(item.value);
+                return `<rect class="svg-chart-mark" x="${(x + slot * 0.1).toFixed(1)}" y="${barTop.toFixed(1)}" width="${(slot * 0.8).toFixed(1)}" height="${(height - bottom - barTop).toFixed(1)}" rx="2" style="fill:${item.color || PALETTE[0]}" ${mark(item.tip || `${item.label}: ${format(item.value)}`)}/>` +
+                    `<text class="svg-chart-label" x="${(x + slot / 2).toFixed(1)}" y="${height - bottom + 14}" text-anchor="middle">${escapeHtml(clip(item.label, Math.max(3, Math.floor(slot / 7))))}</text>`;
+            }).join('');
+            return title(heading) + svg(height, grid + bars, heading);
+        }
+
+        return { doughnut, hbar, stacked, line, columns };
+    })();
+
+    // Replaces a Chart.js canvas with an SVG chart when Chart.js is not available (blocked CDN, offline reports)
+    function showSvgChart(canvas, markup){
+        canvas.hidden = true;
+        let host = canvas.nextElementSibling;
+        if (!host?.classList.contains('svg-chart')) {
+            host = document.createElement('div');
+            host.className = 'svg-chart';
+            canvas.after(host);
+        }
+        host.innerHTML = markup;
+    }
+
+    function setupChartTooltips(){
+        const tip = document.createElement('div');
+        tip.className = 'chart-tooltip';
+        tip.hidden = true;
+        document.body.appendChild(tip);
+        const show = (target, x, y) => {
+            tip.textContent = target.dataset.tip;
+            tip.hidden = false;
+            const left = Math.min(x + 12, window.innerWidth - tip.offsetWidth - 8);
+            tip.style.left = `${Math.max(8, left)}px`;
+            tip.style.top = `${Math.max(8, y - tip.offsetHeight - 10)}px`;
+        };
+        const markFrom = e => e.target.closest?.('.svg-chart [data-tip]');
+        document.addEventListener('mousemove', e => {
+            const target = markFrom(e);
+            if (target) show(target, e.clientX, e.clientY);
+            else tip.hidden = true;
+        });
+        document.addEventListener('focusin', e => {
+            const target = markFrom(e);
+            if (!target) return;
+            const rect = target.getBoundingClientRect();
+            show(target, rect.left + rect.width / 2, rect.top);
+        });
+        document.addEventListener('focusout', () => { tip.hidden = true; });
+    }
+
+    /* Run History & Trends */
+    function hydrateRunHistory(){
+        qsa('script.run-history[type="application/json"]').forEach(script=>{
+            try {
+                addHistoryRun(JSON.parse(script.textContent || '{}'), script.dataset.runLabel);
+            } catch (e) {
+                console.warn('Skipping invalid run history block:', script.dataset.runLabel, e.message);
+            }
+        });
+    }
+
+    function addHistoryRun(payload, fallbackLabel){
+        if (!payload || !payload.overview) throw new Error('missing overview');
+        const generatedAt = payload.overview.generatedAt || '';
+        if (generatedAt && generatedAt === reportData?.overview?.generatedAt) return false; // the current run itself
+        const label = generatedAt || fallbackLabel || `Run ${runHistory.length + 1}`;
+        if (runHistory.some(r => r.label === label)) return false;
+        runHistory.push({ label, generatedAt, data: { ...payload, testResults: payload.testResults || [] } });
+        runHistory.sort((a, b) => a.generatedAt.localeCompare(b.generatedAt));
+        return true;
+    }
+
+    async function loadRunFiles(files){
+        let added = 0;
+        const failed = [];
+        for (const file of Array.from(files || [])) {
+            try {
+                const text = await file.text();
+                const payload = /\.html?$/i.test(file.name) ? extractPayloadFromHtml(text) : JSON.parse(text);
+                (Array.isArray(payload) ? payload : [payload]).forEach(p => { if (addHistoryRun(p, file.name.replace(/\.[^.]+$/, ''))) added++; });
+            } catch (e) {
+                console.warn('Could not load run file', file.name, e);
+                failed.push(`${file.name}: ${e.message}`);
+            }
+        }
+        if (added) onRunHistoryChanged();
+        const info = qs('#trendRunsInfo');
+        if (info && failed.length) {
+            info.textContent = `${failed.length} file(s) skipped`;
+            info.title = failed.join('\n');
+        }
+    }
+
+    function extractPayloadFromHtml(html){
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const script = doc.querySelector('#reportData');
+        if (!script) throw new Error('no #reportData block found');
+        return JSON.parse(script.textContent || '{}');
+    }
+
+    function onRunHistoryChanged(){
+        renderTrendCharts();
+        sortAndRenderSuitePerformance();
+        refreshBaselineOptions();
+        computeFlakyTests();
+        sortAndRenderFlakyTests();
+    }
+
+    /** Current run plus loaded history as chronological trend points (a dropped run can be newer than the open report) */
+    function getTrendRuns(){
+        const current = { label: 'Current', generatedAt: reportData?.overview?.generatedAt || '', data: reportData };
+        if (!current.generatedAt) return [...runHistory, current];
+        return [...runHistory, current].sort((a, b) => a.generatedAt.localeCompare(b.generatedAt));
+    }
+
+    function runExecutionMs(payload){
+        const o = payload?.overview || {};
+        return durationTextToMs(o.executionTime) || (payload?.testResults || []).reduce((sum, t) => sum + (t.durationMs || 0), 0);
+    }
+
+    function durationTextToMs(text){
+        if (!text) return 0;
+        let total = 0;
+        String(text).replace(/(\d+(?:\.\d+)?)\s*(ms|s|m|h)\b/gi, (_, val, unit) => {
+            const v = parseFloat(val);
+            switch (unit.toLowerCase()) { case 'ms': total += v; break; case 's': total += v * 1000; break; case 'm': total += v * 60000; break; case 'h': total += v * 3600000; break; }
+            return _;
+        });
+        return Math.round(total);
+    }
+
+    function renderTrendCharts(){
+        const runs = getTrendRuns();
+        const hasHistory = runs.length > 1;
+        const empty = qs('#trendEmpty');
+        const charts = qs('#trendCharts');
+        const info = qs('#trendRunsInfo');
+        if (empty) empty.style.display = hasHistory ? 'none' : '';
+        if (charts) charts.style.display = hasHistory ? '' : 'none';
+        if (info) info.textContent = hasHistory ? `${runs.length} runs` : '';
+        if (!hasHistory) return;
+        const labels = runs.map(r => r.label);
+        drawTrendLine('passRateTrendChart', 'Pass Rate (%)', labels, runs.map(r => +(r.data.overview.passRate || 0).toFixed(1)), '#34d399');
+        drawTrendLine('failureTrendChart', 'Failures (Failed + Broken)', labels, runs.map(r => (r.data.overview.failedTests || 0) + (r.data.overview.brokenTests || 0)), '#f87171');
+        drawTrendLine('durationTrendChart', 'Execution Time (min)', labels, runs.map(r => +(runExecutionMs(r.data) / 60000).toFixed(1)), '#60a5fa');
+    }
+
+    function drawTrendLine(canvasId, title, labels, values, color){
+        const ctx = qs('#' + canvasId);
+        if (!ctx) return;
+        if (!window.Chart) { showSvgChart(ctx, svgCharts.line(labels, [{ label:title, values, color }], { title })); return; }
+        if (trendCharts[canvasId]) trendCharts[canvasId].destroy();
+        trendCharts[canvasId] = new Chart(ctx, { type:'line', data:{ labels, datasets:[{ label:title, data:values, borderColor:color, backgroundColor:color, tension:.3, pointRadius:3 }] }, options:{ responsive:true, maintainAspectRatio:false, plugins:{ title:{ display:true, text:title }, legend:{ display:false } }, scales:{ x:{ ticks:{ display:false } } } } });
+    }
+
+    /** Pass rate of one suite in every loaded run (null where the suite did not run) */
+    function getSuiteTrend(suiteName){
+        return getTrendRuns().map(r => {
+            const tests = (r.data.testResults || []).filter(t => t.suiteName === suiteName);
+            if (tests.length) return tests.filter(t => t.status === 'Passed').length / tests.length * 100;
+            const perf = (r.data.suitePerformance || []).find(sp => sp.suiteName === suiteName);
+            return perf ? (parseFloat(perf.passRate) || 0) : null;
+        });
+    }
+
+    function buildSparkline(values, width = 90, height = 22){
+        const points = values.map((v, i) => ({ v, i })).filter(p => p.v !== null && p.v !== undefined);
+        if (points.length < 2) return '<span class="sparkline-empty">–</span>';
+        const min = Math.min(...points.map(p => p.v));
+        const max = Math.max(...points.map(p => p.v));
+        const range = max - min || 1;
+        const step = values.length > 1 ? (width - 4) / (values.length - 1) : 0;
+        const coords = points.map(p => [2 + p.i * step, height - 2 - ((p.v - min) / range) * (height - 4)]);
+        const last = points[points.length - 1].v;
+        const first = points[0].v;
+        const cls = last > first ? 'up' : last < first ? 'down' : 'flat';
+        const title = points.map(p => p.v.toFixed(1)).join(' → ');
+        const [lx, ly] = coords[coords.length - 1];
+        return `<svg class="sparkline sparkline-${cls}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeAttr(title)}"><title>${escapeHtml(title)}</title><polyline fill="none" stroke="currentColor" stroke-width="1.5" points="${coords.map(c => c.map(n => n.toFixed(1)).join(',')).join(' ')}"/><circle cx="${lx.toFixed(1)}" cy="${ly.toFixed(1)}" r="2" fill="currentColor"/></svg>`;
+    }
+
+    /* Run Comparison (diff mode) */
+    const DIFF_BUCKETS = {
+        'new-failure': { label:'New Failure', className:'error', desc:'Passed in the baseline, failing now.' },
+        'fixed': { label:'Fixed', className:'success', desc:'Failing in the baseline, passing now.' },
+        'still-failing': { label:'Still Failing', className:'warning', desc:'Failing in both runs.' },
+        'new-test': { label:'New Test', className:'', desc:'Not present in the baseline run.' },
+        'removed': { label:'Removed', className:'', desc:'In the baseline run but not in this one.' }
+    };
+
+    const isFailingStatus = status => status === 'Failed' || status === 'Broken';
+
+    function testNameKey(test){ return (test.suiteName || '') + '||' + (test.testCaseName || ''); }
+
+    /**
+     * Pairs each current test with its baseline counterpart: suite + test name first,
+     * then suite + C-number test case ID for renamed tests.
+     */
+    function matchTestsAcrossRuns(currentTests, baselineTests){
+        const byName = new Map();
+        const byId = new Map();
+        baselineTests.forEach(t => {
+            if (!byName.has(testNameKey(t))) byName.set(testNameKey(t), t);
+            const id = extractTestCaseId(t.caseTags);
+            if (id) {
+                const key = (t.suiteName || '') + '||' + id;
+                if (!byId.has(key)) byId.set(key, []);
+                byId.get(key).push(t);
+            }
+        });
+        const used = new Set();
+        const matches = new Map();
+        const pending = [];
+        currentTests.forEach(t => {
+            const hit = byName.get(testNameKey(t));
+            if (hit && !used.has(hit)) { matches.set(t, hit); used.add(hit); }
+            else pending.push(t);
+        });
+        pending.forEach(t => {
+            const id = extractTestCaseId(t.caseTags);
+            const hit = id ? (byId.get((t.suiteName || '') + '||' + id) || []).find(b => !used.has(b)) : null;
+            if (hit) { matches.set(t, hit); used.add(hit); }
+        });
+        return { matches, unmatchedBaseline: baselineTests.filter(t => !used.has(t)) };
+    }
+
+    function classifyDiff(current, baseline){
+        if (!baseline) return 'new-test';
+        const wasFailing = isFailingStatus(baseline.status);
+        const isFailing = isFailingStatus(current.status);
+        if (isFailing && !wasFailing) return 'new-failure';
+        if (!isFailing && wasFailing) return current.status === 'Passed' ? 'fixed' : null;
+        if (isFailing && wasFailing) return 'still-failing';
+        return null;
+    }
+
+    function computeRunDiff(){
+        diffByTest = new Map();
+        removedTests = [];
+        if (!baselineRun) return;
+        const { matches, unmatchedBaseline } = matchTestsAcrossRuns(reportData?.testResults || [], baselineRun.data.testResults || []);
+        (reportData?.testResults || []).forEach(t => {
+            const bucket = classifyDiff(t, matches.get(t));
+            if (bucket) diffByTest.set(t, { bucket, baseline: matches.get(t) || null });
+        });
+        removedTests = unmatchedBaseline;
+        removedTests.forEach(t => diffByTest.set(t, { bucket: 'removed', baseline: t }));
+        assignOwners(removedTests);
+    }
+
+    function getDiffCounts(){
+        const counts = Object.fromEntries(Object.keys(DIFF_BUCKETS).map(k => [k, 0]));
+        diffByTest.forEach(d => { counts[d.bucket]++; });
+        return counts;
+    }
+
+    function refreshBaselineOptions(){
+        const select = qs('#baselineSelect');
+        qsa('.diff-control').forEach(el => { el.hidden = !runHistory.length; });
+        if (!select) return;
+        if (baselineRun && !runHistory.includes(baselineRun)) baselineRun = null;
+        if (!baselineRun && runHistory.length) baselineRun = runHistory[runHistory.length - 1];
+        select.innerHTML = runHistory.map((r, i) => `<option value="${i}" ${r === baselineRun ? 'selected' : ''}>Baseline: ${escapeHtml(r.label)}</option>`).join('');
+        onBaselineChanged();
+    }
+
+    function onBaselineChanged(){
+        computeRunDiff();
+        renderDiffMetrics();
+        computePerformanceRegressions();
+        renderPerformanceRegressions();
+        if (!baselineRun && diffFilter) {
+            diffFilter = '';
+            const diffSel = qs('#diffFilter');
+            if (diffSel) diffSel.value = '';
+        }
+        applyFilters();
+    }
+
+    function renderDiffMetrics(){
+        const grid = qs('#metricsGrid');
+        if (!grid) return;
+        grid.querySelectorAll('.diff-card').forEach(el => el.remove());
+        if (!baselineRun) return;
+        const counts = getDiffCounts();
+        grid.insertAdjacentHTML('beforeend', Object.entries(DIFF_BUCKETS).map(([key, b]) =>
+            `<div class="metric-card diff-card ${counts[key] ? b.className : ''}" tabindex="0" role="button" data-diff="${key}" data-help="${escapeAttr(b.desc + ' Baseline: ' + baselineRun.label)}"><div class="metric-label">${escapeHtml(b.label)}</div><div class="metric-value">${counts[key]}</div></div>`
+        ).join(''));
+    }
+
+    function buildDiffBadge(test){
+        const diff = diffByTest.get(test);
+        if (!diff) return '';
+        return ` <span class="diff-badge diff-${diff.bucket}" title="Baseline status: ${escapeAttr(diff.baseline?.status || 'not run')}">${escapeHtml(DIFF_BUCKETS[diff.bucket].label)}</span>`;
+    }
+
+    function setupDiffControls(){
+        const baselineSel = qs('#baselineSelect');
+        baselineSel?.addEventListener('change', () => { baselineRun = runHistory[parseInt(baselineSel.value, 10)] || null; onBaselineChanged(); });
+        const diffSel = qs('#diffFilter');
+        diffSel?.addEventListener('change', () => { diffFilter = diffSel.value; applyFilters(); });
+        const grid = qs('#metricsGrid');
+        const openBucket = card => {
+            diffFilter = card.dataset.diff;
+            if (diffSel) diffSel.value = diffFilter;
+            showSection('test-results');
+            applyFilters();
+        };
+        grid?.addEventListener('click', e => { const card = e.target.closest('.diff-card'); if (card) openBucket(card); });
+        grid?.addEventListener('keydown', e => { const card = e.target.closest('.diff-card'); if (card && (e.key === 'Enter' || e.key === ' ')) { e.preventDefault(); openBucket(card); } });
+    }
+
+    /* Performance Regressions */
+    const REGRESSION_THRESHOLD_STORAGE_KEY = 'aqd_regression_threshold';
+    const DEFAULT_REGRESSION_THRESHOLD = 20;
+    // Slowdowns below this are timer noise whatever their percentage
+    const REGRESSION_MIN_DELTA_MS = 500;
+    // Standard scores at or above this count as a significant slowdown (about 97.5% one-sided)
+    const REGRESSION_SIGNIFICANCE = 2;
+    const runMatchCache = new WeakMap(); // history run -> Map(current test -> same test in that run)
+    const stepStatsCache = new WeakMap(); // payload -> Map(step name -> duration stats)
+
+    function getRegressionThreshold(){
+        const stored = parseFloat(localStorage.getItem(REGRESSION_THRESHOLD_STORAGE_KEY));
+        const configured = parseFloat(reportData?.config?.performanceDegradationThreshold);
+        const value = Number.isFinite(stored) ? stored : Number.isFinite(configured) ? configured : DEFAULT_REGRESSION_THRESHOLD;
+        return Math.max(0, value);
+    }
+
+    function getRunMatches(run){
+        if (!runMatchCache.has(run)) runMatchCache.set(run, matchTestsAcrossRuns(reportData?.testResults || [], run.data.testResults || []).matches);
+        return runMatchCache.get(run);
+    }
+
+    /** Duration stats of every step name in a payload's step timelines, all nesting levels included */
+    function getStepStats(payload){
+        if (stepStatsCache.has(payload)) return stepStatsCache.get(payload);
+        const samples = new Map();
+        const visit = steps => (steps || []).forEach(step => {
+            if (step.name) {
+                if (!samples.has(step.name)) samples.set(step.name, []);
+                samples.get(step.name).push(step.durationMs || 0);
+            }
+            visit(step.steps);
+        });
+        (payload?.testResults || []).forEach(t => visit(t.steps));
+        const stats = new Map([...samples].map(([name, values]) => [name, sampleStats(values)]));
+        // .json history copies carry these stats instead of the step trees
+        if (!stats.size) (payload?.stepStats || []).forEach(s => { if (s.name) stats.set(s.name, { n: s.n, mean: s.mean, variance: s.variance }); });
+        // Reports generated without step timelines only carry the Top Steps averages
+        if (!stats.size) (payload?.topSteps || []).forEach(s => { if (s.stepName) stats.set(s.stepName, sampleStats([s.avgDurationMs || 0])); });
+        stepStatsCache.set(payload, stats);
+        return stats;
+    }
+
+    function sampleStats(values){
+        const n = values.length;
+        const mean = n ? values.reduce((sum, v) => sum + v, 0) / n : 0;
+        const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+        return { n, mean, variance };
+    }
+
+    function computePerformanceRegressions(){
+        performanceRegressions = [];
+        if (!baselineRun) return;
+        const threshold = getRegressionThreshold();
+        const isSlowdown = (beforeMs, afterMs) => beforeMs > 0 && afterMs - beforeMs >= REGRESSION_MIN_DELTA_MS && (afterMs - beforeMs) / beforeMs * 100 >= threshold;
+        
+        // Tests run once per run, so significance comes from the spread across all loaded runs
+        const baselineMatches = getRunMatches(baselineRun);
+        (reportData?.testResults || []).forEach(test => {
+            const before = baselineMatches.get(test);
+            const current = test.durationMs || 0;
+            if (!before || !isSlowdown(before.durationMs || 0, current)) return;
+            const trend = runHistory.map(run => getRunMatches(run).get(test)?.durationMs ?? null);
+            const { n, mean, variance } = sampleStats(trend.filter(v => v !== null));
+            const score = n >= 3 ? (current - mean) / Math.max(Math.sqrt(variance), mean * 0.05, 1) : null;
+            if (score !== null && score < REGRESSION_SIGNIFICANCE) return;
+            performanceRegressions.push({
+                kind: 'test', name: test.testCaseName || '', suiteName: test.suiteName || '', test,
+                baselineMs: before.durationMs, currentMs: current, trend: [...trend, current],
+                evidence: score !== null ? `z ${score.toFixed(1)} over ${n} runs` : `${n} earlier run${n === 1 ? '' : 's'}`
+            });
+        });
+        
+        // Steps repeat across tests, so the current run is compared with the baseline run (Welch's t)
+        const baselineSteps = getStepStats(baselineRun.data);
+        getStepStats(reportData).forEach((now, name) => {
+            const before = baselineSteps.get(name);
+            if (!before) return;
+            if (!isSlowdown(before.mean, now.mean)) return;
+            const se = Math.sqrt(now.variance / now.n + before.variance / before.n);
+            const score = now.n > 1 && before.n > 1 && se > 0 ? (now.mean - before.mean) / se : null;
+            if (score !== null && score < REGRESSION_SIGNIFICANCE) return;
+            const trend = runHistory.map(run => getStepStats(run.data).get(name)?.mean ?? null);
+            performanceRegressions.push({
+                kind: 'step', name, suiteName: '',
+                baselineMs: Math.round(before.mean), currentMs: Math.round(now.mean), trend: [...trend, now.mean],
+                evidence: (score !== null ? `t ${score.toFixed(1)} · ` : '') + `n ${now.n}/${before.n}`
+            });
+        });
+        performanceRegressions.forEach(r => { r.changePct = (r.currentMs - r.baselineMs) / r.baselineMs * 100; });
+        performanceRegressions.sort((a, b) => b.changePct - a.changePct);
+    }
+
+    function getVisibleRegressions(){
+        const scope = qs('#regressionScope')?.value || '';
+        return scope ? performanceRegressions.filter(r => r.kind === scope) : performanceRegressions;
+    }
+
+    function renderPerformanceRegressions(){
+        const panel = qs('#perfRegressions');
+        const body = qs('#regressionsBody');
+        if (!panel || !body) return;
+        panel.hidden = !baselineRun;
+        if (!baselineRun) return;
+        const rows = getVisibleRegressions();
+        const info = qs('#regressionInfo');
+        if (info) info.textContent = `${rows.length} slowdown${rows.length === 1 ? '' : 's'} vs ${baselineRun.label}`;
+        if (!rows.length) {
+            body.innerHTML = `<tr><td colspan="9" class="empty-message">Nothing got ${getRegressionThreshold()}% or more slower than the baseline run.</td></tr>`;
+            return;
+        }
+        body.innerHTML = rows.map((r, i) => `<tr>
+                <td>${i + 1}</td>
+                <td><span class="regression-kind regression-${r.kind}">${r.kind === 'test' ? 'Test' : 'Step'}</span></td>
+                <td title="${escapeAttr(r.name)}">${escapeHtml(truncate(r.name, 70))}${r.test ? buildTimelineButton(r.test) : ''}</td>
+                <td>${buildSuiteLink(r.suiteName)}</td>
+                <td>${escapeHtml(formatDuration(r.baselineMs))}</td>
+                <td>${escapeHtml(formatDuration(r.currentMs))}</td>
+                <td><span class="regression-change">+${r.changePct.toFixed(0)}%</span></td>
+                <td class="regression-trend">${buildSparkline(r.trend.map(v => v === null ? null : v / 1000))}</td>
+                <td>${escapeHtml(r.evidence)}</td>
+            </tr>`).join('');
+    }
+
+    function setupRegressionControls(){
+        const input = qs('#regressionThreshold');
+        if (input) input.value = String(getRegressionThreshold());
+        input?.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (!Number.isFinite(value) || value <= 0) { input.value = String(getRegressionThreshold()); return; }
+            localStorage.setItem(REGRESSION_THRESHOLD_STORAGE_KEY, String(value));
+            computePerformanceRegressions();
+            renderPerformanceRegressions();
+        });
+        qs('#regressionScope')?.addEventListener('change', renderPerformanceRegressions);
+    }
+
+    /* Flaky Tests */
+    function loadFlakyTests(){
+        if (!qs('#flakyTestsBody')) return;
+        computeFlakyTests();
+        sortAndRenderFlakyTests();
+        qsa('.flaky-tests-table th[data-flaky-sort]').forEach(th => {
+            th.style.cursor = 'pointer';
+            th.addEventListener('click', () => {
+                const field = th.getAttribute('data-flaky-sort');
+                if (flakySortField === field) {
+                    flakySortDirection = flakySortDirection === 'asc' ? 'desc' : 'asc';
+                } else {
+                    flakySortField = field;
+                    flakySortDirection = ['testCaseName', 'suiteName'].includes(field) ? 'asc' : 'desc';
+                }
+                sortAndRenderFlakyTests();
+            });
+        });
+    }
+
+    function getFlakyThreshold(){
+        const n = parseInt(reportData?.config?.flakyTestThreshold, 10);
+        return n > 1 ? n : 3;
+    }
+
+    /**
+     * Tracks every current test through the loaded runs. A flip is a pass↔fail change between
+     * two consecutive executions; the score is flips per possible flip (0-100).
+     */
+    function computeFlakyTests(){
+        const runs = getTrendRuns();
+        const current = reportData?.testResults || [];
+        const perRun = runs.map(r => r.data === reportData ? null : matchTestsAcrossRuns(current, r.data.testResults || []).matches);
+        const threshold = getFlakyThreshold();
+        flakyTests = current.map(test => {
+            const history = runs.map((r, i) => {
+                const t = perRun[i] ? perRun[i].get(test) : test;
+                return t ? { status: t.status, failureReason: t.failureReason || '' } : null;
+            });
+            let flips = 0, lastFlipIndex = -1, prev = null, executions = 0;
+            history.forEach((h, i) => {
+                if (!h || !['Passed', 'Failed', 'Broken'].includes(h.status)) return;
+                executions++;
+                const failing = isFailingStatus(h.status);
+                if (prev !== null && prev !== failing) { flips++; lastFlipIndex = i; }
+                prev = failing;
+            });
+            const lastFailure = [...history].reverse().find(h => h && isFailingStatus(h.status));
+            return {
+                test,
+                testCaseName: test.testCaseName || '',
+                suiteName: test.suiteName || '',
+                history,
+                executions,
+                flips,
+                score: executions > 1 ? flips / (executions - 1) * 100 : 0,
+                lastFlipIndex,
+                lastFlipLabel: lastFlipIndex >= 0 ? runs[lastFlipIndex].label : '',
+                lastFailureReason: lastFailure?.failureReason || ''
+            };
+        }).filter(f => f.flips > 0 && f.executions >= threshold);
+    }
+
+    function sortAndRenderFlakyTests(){
+        const body = qs('#flakyTestsBody');
+        if (!body) return;
+        const runs = getTrendRuns();
+        const info = qs('#flakyInfo');
+        if (info) {
+            info.textContent = runs.length < getFlakyThreshold()
+                ? `Flakiness needs at least ${getFlakyThreshold()} runs (FlakyTestThreshold). ${runs.length} loaded — drop earlier TestReport-*.json files onto the page.`
+                : `${flakyTests.length} flaky test(s) across ${runs.length} runs.`;
+        }
+        if (!flakyTests.length) {
+            body.innerHTML = '<tr><td colspan="9">No flaky tests detected</td></tr>';
+            updateFlakySortIndicators();
+            return;
+        }
+        flakyTests.sort((a, b) => {
+            let av = a[flakySortField], bv = b[flakySortField];
+            if (typeof av === 'string') { av = av.toLowerCase(); bv = String(bv || '').toLowerCase(); }
+            if (av < bv) return flakySortDirection === 'asc' ? -1 : 1;
+            if (av > bv) return flakySortDirection === 'asc' ? 1 : -1;
+            return b.flips - a.flips;
+        });
+        body.innerHTML = flakyTests.map((f, i) => {
+            const cls = f.score >= 60 ? 'failed' : f.score >= 30 ? 'broken' : 'passed';
+            const strip = f.history.map((h, idx) => {
+                const status = h ? h.status : 'Not run';
+                return `<span class="status-dot dot-${status.toLowerCase().replace(/\s+/g, '-')}" title="${escapeAttr(runs[idx].label + ': ' + status)}"></span>`;
+            }).join('');
+            return `<tr>
+                <td>${i + 1}</td>
+                <td title="${escapeAttr(f.testCaseName)}">${escapeHtml(truncate(f.testCaseName, 60))}</td>
+                <td>${buildSuiteLink(f.suiteName)}</td>
+                <td>${f.executions}</td>
+                <td><span class="failure-count">${f.flips}</span></td>
+                <td><span class="status-badge status-${cls}">${f.score.toFixed(0)}%</span></td>
+                <td>${escapeHtml(f.lastFlipLabel)}</td>
+                <td><div class="status-strip">${strip}</div></td>
+                <td title="${escapeAttr(f.lastFailureReason)}">${escapeHtml(truncate(f.lastFailureReason, 50))}</td>
+            </tr>`;
+        }).join('');
+        updateFlakySortIndicators();
+    }
+
+    function updateFlakySortIndicators(){
+        qsa('.flaky-tests-table .sort-indicator').forEach(el => { el.textContent = '⇅'; el.style.opacity = '.4'; });
+        const active = qs(`.flaky-tests-table th[data-flaky-sort="${flakySortField}"] .sort-indicator`);
+        if (active) {
+            active.textContent = flakySortDirection === 'asc' ? '↑' : '↓';
+            active.style.opacity = '1';
+        }
+    }
+
+    /* Quality Insights (C# QualityAnalysisResult) */
+    const PRIORITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+
+    function loadQualityInsights(){
+        const section = qs('#quality-insights');
+        if (!section) return;
+        const qa = reportData?.qualityAnalysis;
+        const hasContent = qa && (qa.riskAssessment?.overallRiskLevel || qa.executiveSummary?.keyFindings?.length ||
+            qa.regressionAnalysis?.newFailures?.length || qa.actionableRecommendations?.length || qa.criticalIssues?.length);
+        const navItem = qs('a[href="#quality-insights"]')?.closest('li');
+        if (!hasContent) {
+            console.warn('No quality analysis data available - hiding Quality Insights');
+            section.hidden = true;
+            if (navItem) navItem.hidden = true;
+            return;
+        }
+        renderExecutiveSummary(qa.executiveSummary);
+        renderRiskAssessment(qa.riskAssessment, qa.criticalIssues || []);
+        renderRegressions(qa.regressionAnalysis);
+        renderRecommendations(qa.actionableRecommendations || []);
+    }
+
+    function renderExecutiveSummary(es){
+        const el = qs('#qualityExecutiveSummary');
+        if (!el) return;
+        if (!es) { el.closest('.quality-block').hidden = true; return; }
+        const list = items => items?.length ? `<ul>${items.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</ul>` : '<p class="empty-message">None</p>';
+        el.innerHTML = `
+            <div class="quality-summary-meta">
+                <span><strong>Health Score:</strong> ${es.overallHealthScore ?? '–'}</span>
+                <span><strong>Risk Level:</strong> <span class="risk-badge risk-${(es.riskLevel || 'unknown').toLowerCase()}">${escapeHtml(es.riskLevel || 'Unknown')}</span></span>
+                <span><strong>Quality Trend:</strong> ${escapeHtml(es.qualityTrend || 'Unknown')}</span>
+            </div>
+            <p class="quality-impact"><strong>Business Impact:</strong> ${escapeHtml(es.businessImpact || 'Not assessed')}</p>
+            <div class="quality-columns">
+                <div><h4>Key Findings</h4>${list(es.keyFindings)}</div>
+                <div><h4>Next Steps</h4>${list(es.nextSteps)}</div>
+            </div>`;
+    }
+
+    function renderRiskAssessment(risk, criticalIssues){
+        const grid = qs('#qualityRiskGrid');
+        const lists = qs('#qualityRiskLists');
+        if (!grid) return;
+        if (!risk) { grid.closest('.quality-block').hidden = true; return; }
+        const level = (risk.overallRiskLevel || 'Unknown');
+        const levelClass = { high: 'error', critical: 'critical', medium: 'warning', low: 'success' }[level.toLowerCase()] || '';
+        const cards = [
+            { label: 'Overall Risk', value: level, className: levelClass, desc: 'Derived from failure rate and failures in critical suites.' },
+            { label: 'Failure Rate', value: (risk.failureRate || 0).toFixed(1) + '%', className: (risk.failureRate || 0) > 20 ? 'error' : 'warning', desc: '(Failed + Broken) ÷ Total × 100.' },
+            { label: 'Critical Suite Failures', value: risk.criticalSuiteFailures || 0, className: risk.criticalSuiteFailures ? 'critical' : 'success', desc: 'Failures in suites listed in CriticalSuitesForRegression.' },
+            { label: 'Critical Issues', value: criticalIssues.length, className: criticalIssues.length ? 'error' : 'success', desc: 'Issues that need immediate attention.' }
+        ];
+        grid.innerHTML = cards.map(c => `<div class="metric-card ${c.className}" tabindex="0" data-help="${escapeAttr(c.desc)}"><div class="metric-label">${escapeHtml(c.label)}</div><div class="metric-value">${escapeHtml(String(c.value))}</div></div>`).join('');
+        if (!lists) return;
+        const list = (title, items) => `<div><h4>${escapeHtml(title)}</h4>${items.length ? `<ul>${items.join('')}</ul>` : '<p class="empty-message">None</p>'}</div>`;
+        lists.innerHTML = list('Risk Factors', (risk.riskFactors || []).map(f => `<li>${escapeHtml(f)}</li>`)) +
+            list('Mitigation Strategies', (risk.mitigationStrategies || []).map(m => `<li>${escapeHtml(m)}</li>`)) +
+            list('Critical Issues', criticalIssues.map(ci => `<li><strong>${escapeHtml(ci.type)}</strong> – ${escapeHtml(ci.description)} <span class="impact-badge impact-${(ci.impact || '').toLowerCase()}">${escapeHtml(ci.impact || '')}</span><br><small>${escapeHtml(ci.recommendedAction || '')}</small></li>`));
+    }
+
+    function renderRegressions(ra){
+        const body = qs('#qualityRegressionsBody');
+        if (!body) return;
+        const functional = (ra?.newFailures || []).map(r => `<tr>
+                <td><span class="status-badge status-failed">New Failure</span></td>
+                <td>${buildSuiteLink(r.suiteName)}</td>
+                <td title="${escapeAttr(r.testName)}">${escapeHtml(truncate(r.testName, 60))}</td>
+                <td>${escapeHtml(r.previousStatus)} → ${escapeHtml(r.currentStatus)}</td>
+                <td title="${escapeAttr(r.failureReason || '')}">${escapeHtml(truncate(r.failureReason || r.failingStep || '', 60))}</td>
+                <td><span class="impact-badge impact-${(r.impact || '').toLowerCase()}">${escapeHtml(r.impact || '')}</span></td>
+                <td><span class="risk-badge risk-${(r.priority || '').toLowerCase()}">${escapeHtml(r.priority || '')}</span></td>
+            </tr>`);
+        const performance = (ra?.performanceRegressions || []).map(r => `<tr>
+                <td><span class="status-badge status-broken">Slowdown</span></td>
+                <td>${buildSuiteLink(r.suiteName)}</td>
+                <td title="${escapeAttr(r.testName)}">${escapeHtml(truncate(r.testName, 60))}</td>
+                <td>${escapeHtml(r.previousDuration)} → ${escapeHtml(r.currentDuration)}</td>
+                <td>+${(r.performanceChange || 0).toFixed(1)}%</td>
+                <td><span class="impact-badge impact-${(r.impact || '').toLowerCase()}">${escapeHtml(r.impact || '')}</span></td>
+                <td><span class="risk-badge risk-${(r.severity || '').toLowerCase()}">${escapeHtml(r.severity || '')}</span></td>
+            </tr>`);
+        const rows = functional.concat(performance);
+        body.innerHTML = rows.length ? rows.join('') : '<tr><td colspan="7">No regressions detected</td></tr>';
+    }
+
+    function renderRecommendations(recs){
+        const el = qs('#qualityRecommendations');
+        if (!el) return;
+        if (!recs.length) { el.innerHTML = '<p class="empty-message">No recommendations for this run</p>'; return; }
+        const sorted = [...recs].sort((a, b) => (PRIORITY_ORDER[(a.priority || '').toLowerCase()] ?? 9) - (PRIORITY_ORDER[(b.priority || '').toLowerCase()] ?? 9));
+        el.innerHTML = sorted.map(r => `
+            <div class="recommendation-card priority-${(r.priority || 'low').toLowerCase()}">
+                <div class="recommendation-header">
+                    <span class="risk-badge risk-${(r.priority || '').toLowerCase()}">${escapeHtml(r.priority || '')}</span>
+                    <strong>${escapeHtml(r.title || '')}</strong>
+                    <span class="recommendation-category">${escapeHtml(r.category || '')}</span>
+                </div>
+                <p>${escapeHtml(r.description || '')}</p>
+                ${(r.actionItems || []).length ? `<ul>${r.actionItems.map(a => `<li>${escapeHtml(a)}</li>`).join('')}</ul>` : ''}
+                <div class="recommendation-meta">
+                    ${r.estimatedEffort ? `<span><strong>Effort:</strong> ${escapeHtml(r.estimatedEffort)}</span>` : ''}
+                    ${r.expectedImpact ? `<span><strong>Expected Impact:</strong> ${escapeHtml(r.expectedImpact)}</span>` : ''}
+                </div>
+            </div>`).join('');
+    }
+
+    function setupRunHistoryLoading(){
+        const btn = qs('#loadRunsBtn');
+        const input = qs('#loadRunsInput');
+        if (btn && input) {
+            btn.addEventListener('click', () => input.click());
+            input.addEventListener('change', () => { loadRunFiles(input.files); input.value = ''; });
+        }
+        const hasFiles = e => Array.from(e.dataTransfer?.types || []).includes('Files');
+        document.addEventListener('dragover', e => { if (!hasFiles(e)) return; e.preventDefault(); document.body.classList.add('drop-active'); });
+        document.addEventListener('dragleave', e => { if (!e.relatedTarget) document.body.classList.remove('drop-active'); });
+        document.addEventListener('drop', e => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            document.body.classList.remove('drop-active');
+            loadRunFiles(e.dataTransfer.files);
+        });
+    }
 
     /* Suite Performance */
     function loadSuitePerformance(){
@@ -182,6 +1132,20 @@
         }));
         sortAndRenderSuitePerformance();
         setupSuitePerfHeaderSorting();
+        renderSuitePassRateChart();
+    }
+
+    // Worst suites first, colored with the same bands as the table's pass rate badges
+    function renderSuitePassRateChart(){
+        const host = qs('#suitePassRateChart');
+        if (!host) return;
+        const suites = [...suitePerfData].sort((a, b) => (a.passRate || 0) - (b.passRate || 0));
+        host.innerHTML = suites.length ? svgCharts.hbar(suites.map(s => ({
+            label: s.suiteName || 'Unknown Suite',
+            value: s.passRate || 0,
+            color: s.passRate >= 80 ? 'var(--success)' : s.passRate >= 60 ? 'var(--warning)' : 'var(--error)',
+            tip: `${s.suiteName}: ${s.passedTests || 0} of ${s.totalTests || 0} passed (${(s.passRate || 0).toFixed(1)}%)`
+        })), { title: 'Pass Rate by Suite', max: 100, format: v => `${v.toFixed(1)}%` }) : '';
     }
 
     function sortAndRenderSuitePerformance(){
@@ -208,7 +1172,7 @@
             const passedBadge = s.passedTests > 0 ? `<span class="status-badge status-passed">${s.passedTests}</span>` : s.passedTests;
             const allFailures = s.allFailures || 0;
             const failuresBadge = allFailures > 0 ? `<span class="status-badge status-failed">${allFailures}</span>` : allFailures;
-            return `<tr><td>${i+1}</td><td>${escapeHtml(s.suiteName||'')}</td><td>${s.totalTests||0}</td><td>${passedBadge}</td><td>${failuresBadge}</td><td><span class=\"status-badge status-${cls}\">${pr.toFixed(1)}%</span></td><td>${escapeHtml(s.totalDurationReadable||formatDuration(s.totalDurationMs||0))}</td><td>${escapeHtml(s.avgDurationReadable||formatDuration(s.avgDurationMs||0))}</td><td><span class=\"perf-badge perf-${(s.performanceCategory||'').toLowerCase()}\">${escapeHtml(s.performanceCategory||'')}</span></td></tr>`;
+            return `<tr><td>${i+1}</td><td>${buildSuiteLink(s.suiteName)}</td><td>${s.totalTests||0}</td><td>${passedBadge}</td><td>${failuresBadge}</td><td><span class=\"status-badge status-${cls}\">${pr.toFixed(1)}%</span></td><td>${escapeHtml(s.totalDurationReadable||formatDuration(s.totalDurationMs||0))}</td><td>${escapeHtml(s.avgDurationReadable||formatDuration(s.avgDurationMs||0))}</td><td><span class=\"perf-badge perf-${(s.performanceCategory||'').toLowerCase()}\">${escapeHtml(s.performanceCategory||'')}</span></td><td>${buildSparkline(getSuiteTrend(s.suiteName))}</td></tr>`;
         }).join('');
         updateSuitePerfSortIndicators();
     }
@@ -338,6 +1302,7 @@
         slowTestsFiltered = slowTestsAll.filter(t => (!slowSuiteFilter || t.suiteName===slowSuiteFilter) && (!slowStatusFilter || t.status===slowStatusFilter));
         slowTestsFiltered.sort((a,b)=>(b.durationMs||0)-(a.durationMs||0));
         if (slowLimit !== Infinity) slowTestsFiltered = slowTestsFiltered.slice(0, slowLimit);
+        resetTableScroll('#slowTestsBody');
         renderSlowTestsTable();
     }
 
@@ -349,12 +1314,106 @@
             const key=(tr.suiteName||'')+'||'+(tr.testCaseName||''); 
             if(tr.caseTags) tagMap.set(key, tr.caseTags); 
         });
-        body.innerHTML = slowTestsFiltered.map((t,i)=>{ 
+        renderTableRows(body, slowTestsFiltered.length, i=>{ 
+            const t=slowTestsFiltered[i];
             const file=t.screenshotFileName||''; // Use screenshotFileName instead of screenshotPath
-            const link=file&&reportData.config.includeScreenshots?buildScreenshotLink(file,t):''; 
+            const link=file&&reportData.config.includeScreenshots?buildScreenshotLink(t):''; 
             const tags=t.caseTags || tagMap.get((t.suiteName||'')+'||'+(t.testCaseName||'')) || ''; 
-            return `<tr><td>${i+1}</td><td>${escapeHtml(truncate(t.testCaseName||'',60))}</td><td>${escapeHtml(t.suiteName||'')}</td><td>${escapeHtml(t.duration||'')}</td><td><span class="status-badge status-${(t.status||'').toLowerCase()}">${escapeHtml(t.status||'')}</span></td><td><span class="perf-badge perf-${(t.performanceCategory||'').toLowerCase()}">${escapeHtml(t.performanceCategory||'')}</span></td><td class="tags-column">${escapeHtml(truncate(tags,30))}</td><td>${link}</td></tr>`; 
-        }).join('');
+            return `<tr><td>${i+1}</td><td>${escapeHtml(truncate(t.testCaseName||'',60))}</td><td>${buildSuiteLink(t.suiteName)}</td><td>${escapeHtml(t.duration||'')}</td><td><span class="status-badge status-${(t.status||'').toLowerCase()}">${escapeHtml(t.status||'')}</span></td><td><span class="perf-badge perf-${(t.performanceCategory||'').toLowerCase()}">${escapeHtml(t.performanceCategory||'')}</span></td><td class="tags-column">${escapeHtml(truncate(tags,30))}</td><td>${link}${buildTimelineButton(t)}</td></tr>`; 
+        }, 8);
+    }
+
+    /* Virtualized Table Rendering */
+    // Large tables only get DOM rows for the visible part of their scrolling .table-container;
+    // spacer rows above and below keep the scrollbar proportional to the full row count.
+    // Expanded rows (see expandedRows) add one fixed-height .row-detail row after them.
+    const VIRTUAL_ROW_THRESHOLD = 300;
+    const VIRTUAL_OVERSCAN = 20;
+    const VIRTUAL_FALLBACK_ROW_HEIGHT = 42;
+    const VIRTUAL_FALLBACK_DETAIL_HEIGHT = 340;
+    const virtualTables = new Map();
+
+    function renderTableRows(tbody, count, renderRow, columnCount, expandedRows = []) {
+        const container = tbody.closest('.table-container');
+        const table = tbody.closest('table');
+        let state = virtualTables.get(tbody);
+        if (count <= VIRTUAL_ROW_THRESHOLD || !container) {
+            if (state) {
+                container?.removeEventListener('scroll', state.onScroll);
+                virtualTables.delete(tbody);
+            }
+            table?.classList.remove('virtualized');
+            let html = '';
+            for (let i = 0; i < count; i++) html += renderRow(i);
+            tbody.innerHTML = html;
+            return;
+        }
+        table.classList.add('virtualized');
+        if (!state) {
+            state = { rowHeight: 0, detailHeight: 0, frame: null };
+            state.onScroll = () => {
+                if (state.frame) return;
+                state.frame = requestAnimationFrame(() => { state.frame = null; drawVirtualWindow(tbody, container, state); });
+            };
+            container.addEventListener('scroll', state.onScroll, { passive: true });
+            virtualTables.set(tbody, state);
+        }
+        Object.assign(state, { count, renderRow, columnCount, expandedRows: [...expandedRows].sort((a, b) => a - b), first: -1, last: -1 });
+        drawVirtualWindow(tbody, container, state);
+    }
+
+    // Pixel offset of row index within the full (virtual) table body
+    function virtualRowOffset(state, index) {
+        let lo = 0, hi = state.expandedRows.length;
+        while (lo < hi) { const mid = (lo + hi) >> 1; if (state.expandedRows[mid] < index) lo = mid + 1; else hi = mid; }
+        return index * (state.rowHeight || VIRTUAL_FALLBACK_ROW_HEIGHT) + lo * (state.detailHeight || VIRTUAL_FALLBACK_DETAIL_HEIGHT);
+    }
+
+    function virtualIndexAt(state, offset) {
+        let lo = 0, hi = state.count;
+        while (lo < hi) { const mid = (lo + hi + 1) >> 1; if (virtualRowOffset(state, mid) <= offset) lo = mid; else hi = mid - 1; }
+        return lo;
+    }
+
+    function drawVirtualWindow(tbody, container, state) {
+        // Hidden sections report zero sizes; render a generous first window until they are shown
+        const viewport = container.clientHeight || (state.rowHeight || VIRTUAL_FALLBACK_ROW_HEIGHT) * 40;
+        const headerHeight = tbody.closest('table')?.tHead?.offsetHeight || 0;
+        const scrollTop = Math.max(0, container.scrollTop - headerHeight);
+        const first = Math.min(Math.max(0, virtualIndexAt(state, scrollTop) - VIRTUAL_OVERSCAN), Math.max(0, state.count - 1));
+        const last = Math.min(state.count, virtualIndexAt(state, scrollTop + viewport) + 1 + VIRTUAL_OVERSCAN);
+        if (first === state.first && last === state.last) return;
+        state.first = first;
+        state.last = last;
+        const spacer = height => `<tr class="virtual-spacer" aria-hidden="true"><td colspan="${state.columnCount}" style="height:${height}px"></td></tr>`;
+        let html = spacer(virtualRowOffset(state, first));
+        for (let i = first; i < last; i++) html += state.renderRow(i);
+        html += spacer(virtualRowOffset(state, state.count) - virtualRowOffset(state, last));
+        tbody.innerHTML = html;
+        // Rows are single-line and detail panels fixed-height in virtual mode, so one of each gives the real sizes
+        const measuredRow = tbody.querySelector('tr:not(.virtual-spacer):not(.row-detail)')?.offsetHeight;
+        const measuredDetail = tbody.querySelector('tr.row-detail')?.offsetHeight;
+        let remeasure = false;
+        if (measuredRow && Math.abs(measuredRow - (state.rowHeight || VIRTUAL_FALLBACK_ROW_HEIGHT)) > 1) { state.rowHeight = measuredRow; remeasure = true; }
+        if (measuredDetail && Math.abs(measuredDetail - (state.detailHeight || VIRTUAL_FALLBACK_DETAIL_HEIGHT)) > 1) { state.detailHeight = measuredDetail; remeasure = true; }
+        if (remeasure) {
+            state.first = state.last = -1;
+            drawVirtualWindow(tbody, container, state);
+        }
+    }
+
+    function resetTableScroll(tbodySelector) {
+        const container = qs(tbodySelector)?.closest('.table-container');
+        if (container) container.scrollTop = 0;
+    }
+
+    // Re-measures virtual tables once their section becomes visible
+    function refreshVirtualTables(section) {
+        virtualTables.forEach((state, tbody) => {
+            if (section && !section.contains(tbody)) return;
+            state.first = state.last = -1;
+            drawVirtualWindow(tbody, tbody.closest('.table-container'), state);
+        });
     }
 
     /* Top Steps */
@@ -494,9 +1553,10 @@
             return;
         }
 
-        // Use existing failure analysis data if available, otherwise normalize failures
+        // Use existing failure analysis data if available, otherwise normalize failures.
+        // Custom categorization rules only apply to the JavaScript analysis, so they force it.
         let normalizedFailures;
-        if (reportData.failureAnalysis.commonFailures && reportData.failureAnalysis.commonFailures.length > 0) {
+        if (!customFailureRules && reportData.failureAnalysis.commonFailures && reportData.failureAnalysis.commonFailures.length > 0) {
             // Use the C# generated analysis
             renderFailureAnalysisFromData(reportData.failureAnalysis, failedTests.length, reportData.testResults.length);
         } else {
@@ -515,31 +1575,701 @@
             renderTimeoutSpotlight(normalizedFailures);
         }
         
+        renderFailureCategoryChart(normalizedFailures || normalizeFailures(failedTests));
+        renderOwnerSummary(failedTests);
+        assignTriage(reportData.testResults);
+        
         // Wire up interactive features
         wireRowActions();
     }
 
-    function renderFailureAnalysisFromData(failureAnalysis, totalFailures, totalTests) {
-        console.log('Rendering failure analysis from C# data');
-        
-        // Render failure categories summary
-        const grid = qs('#failureStatsGrid');
-        if (grid && failureAnalysis.failureCategories) {
-            const fc = failureAnalysis.failureCategories;
-            const failureRate = totalTests > 0 ? (totalFailures / totalTests * 100) : 0;
-            
-            const cards = [
-                {
-                    label: 'Total Failures',
-                    value: `${totalFailures} (${failureRate.toFixed(1)}%)`,
-                    className: 'error',
-                    desc: `${totalFailures} failures out of ${totalTests} total tests`
-                },
-                {
-                    label: 'Assertion Failures',
-                    value: `${fc.assertionFailures} (${fc.assertionFailureRate.toFixed(1)}%)`,
-                    className: 'critical',
-                    desc: 'Test assertion and validation failures'
+    /* Ownership */
+    const OWNERS_STORAGE_KEY = 'aqd_owners';
+    const UNASSIGNED_OWNER = 'Unassigned';
+
+    function globToRegExp(glob) {
+        const source = glob.split('').map(ch => ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')).join('');
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    // CODEOWNERS-style lines: "<suite-glob> @owner..." or "tag:<tag-glob> @owner..."; # starts a comment
+    function parseOwnersFile(text) {
+        const rules = [];
+        const errors = [];
+        String(text || '').split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.replace(/(^|\s)#.*$/, '').trim();
+            if (!trimmed) return;
+            const [pattern, ...owners] = trimmed.split(/\s+/);
+            if (!owners.length) { errors.push(`Line ${index + 1}: no owner for "${pattern}"`); return; }
+            const tagMatch = pattern.match(/^tag:(.+)$/i);
+            const suitePattern = pattern.replace(/^suite:/i, '');
+            rules.push({ kind: tagMatch ? 'tag' : 'suite', regex: globToRegExp(tagMatch ? tagMatch[1] : suitePattern), owners });
+        });
+        return { rules, errors };
+    }
+
+    function loadOwnership() {
+        let text = reportData?.owners || null;
+        let source = 'report configuration';
+        const stored = localStorage.getItem(OWNERS_STORAGE_KEY);
+        if (stored) {
+            try {
+                const parsed = JSON.parse(stored);
+                text = parsed.text;
+                source = parsed.fileName || 'imported file';
+            } catch (e) {
+                console.warn('Ignoring invalid stored owners file:', e.message);
+                localStorage.removeItem(OWNERS_STORAGE_KEY);
+            }
+        }
+        const { rules, errors } = parseOwnersFile(text);
+        ownershipRules = rules;
+        ownershipSource = rules.length ? source : null;
+        assignOwners(reportData?.testResults || []);
+        assignOwners(removedTests);
+        const info = qs('#ownersInfo');
+        if (info) {
+            info.textContent = ownershipSource
+                ? `Ownership: ${rules.length} rule${rules.length === 1 ? '' : 's'} from ${ownershipSource}` + (errors.length ? ` · ${errors.length} skipped` : '')
+                : 'No owners file – import one to assign suites and tags to teams';
+            info.title = errors.join('\n');
+            info.classList.toggle('has-errors', errors.length > 0);
+        }
+        const resetBtn = qs('#resetOwnersBtn');
+        if (resetBtn) resetBtn.hidden = !stored;
+    }
+
+    function assignOwners(tests) {
+        tests.forEach(t => {
+            delete t.owner;
+            t.owner = getOwner(t);
+        });
+    }
+
+    // Owners of the failing tests behind a C#-computed pattern or test case (by C-ID or test name)
+    function getOwnersForCases(caseIds, suites) {
+        const tests = (reportData?.testResults || []).filter(t => isFailingStatus(t.status) && suites.includes(t.suiteName) &&
+            caseIds.includes(extractTestCaseId(t.caseTags) || t.testCaseName));
+        return joinOwners(tests.length ? tests.map(getOwner) : suites.map(suiteName => getOwner({ suiteName })));
+    }
+
+    // Merges owner strings ("@a, @b") into one de-duplicated list
+    function joinOwners(ownerStrings) {
+        const owners = new Set();
+        [...ownerStrings].forEach(value => String(value || '').split(', ').filter(Boolean).forEach(o => owners.add(o)));
+        return [...owners].join(', ') || UNASSIGNED_OWNER;
+    }
+
+    function setTableHeaders(tbody, labels) {
+        const row = tbody.closest('table')?.querySelector('thead tr');
+        if (row) row.innerHTML = labels.map(label => `<th>${escapeHtml(label)}</th>`).join('');
+    }
+
+    function renderOwnerSummary(failedTests) {
+        const body = qs('#ownerSummaryBody');
+        if (!body) return;
+        const groups = new Map();
+        failedTests.forEach(test => {
+            // A test shared by several owners shows up in each of their queues
+            getOwner(test).split(', ').forEach(owner => {
+                if (!groups.has(owner)) groups.set(owner, { owner, failed: 0, broken: 0, suites: new Set(), categories: [] });
+                const group = groups.get(owner);
+                if (test.status === 'Broken') group.broken++; else group.failed++;
+                group.suites.add(test.suiteName);
+                group.categories.push(categorizeFailure(test.failureReason || '', test.failingStep || ''));
+            });
+        });
+        const rows = [...groups.values()].sort((a, b) => (b.failed + b.broken) - (a.failed + a.broken) || a.owner.localeCompare(b.owner));
+        if (!rows.length) {
+            body.innerHTML = '<tr><td colspan="7">No failures to assign</td></tr>';
+            return;
+        }
+        body.innerHTML = rows.map(g => `<tr>
+                <td><strong>${escapeHtml(g.owner)}</strong></td>
+                <td><span class="failure-count">${g.failed + g.broken}</span></td>
+                <td>${g.failed}</td>
+                <td>${g.broken}</td>
+                <td title="${escapeAttr([...g.suites].join(', '))}">${escapeHtml(truncateText([...g.suites].join(', '), 60))}</td>
+                <td>${escapeHtml(getMostFrequent(g.categories))}</td>
+                <td><button type="button" class="view-details-btn owner-queue-btn" data-owner="${escapeAttr(g.owner)}">View queue</button></td>
+            </tr>`).join('');
+    }
+
+    function openOwnerQueue(owner) {
+        const search = qs('#searchInput');
+        // Anchored to the ", "-separated owner list so @team-a does not also pull in @team-ab
+        if (search) search.value = `owner:/(^|, )${escapeQueryRegex(owner)}(,|$)/ -status:passed`;
+        const status = qs('#statusFilter');
+        if (status) status.value = '';
+        const suite = qs('#suiteFilter');
+        if (suite) suite.value = '';
+        showSection('test-results');
+        applyFilters();
+    }
+
+    function onOwnershipChanged() {
+        loadOwnership();
+        loadFailureAnalysis();
+        applyFilters();
+    }
+
+    function setupOwnershipLoading() {
+        const btn = qs('#loadOwnersBtn');
+        const input = qs('#loadOwnersInput');
+        btn?.addEventListener('click', () => input?.click());
+        input?.addEventListener('change', () => {
+            const file = input.files?.[0];
+            input.value = '';
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                const { rules, errors } = parseOwnersFile(reader.result);
+                if (!rules.length) {
+                    const info = qs('#ownersInfo');
+                    if (info) info.textContent = `No ownership rules in ${file.name}` + (errors.length ? `: ${errors[0]}` : '');
+                    return;
+                }
+                localStorage.setItem(OWNERS_STORAGE_KEY, JSON.stringify({ fileName: file.name, text: reader.result }));
+                onOwnershipChanged();
+            };
+            reader.readAsText(file);
+        });
+        qs('#resetOwnersBtn')?.addEventListener('click', () => {
+            localStorage.removeItem(OWNERS_STORAGE_KEY);
+            onOwnershipChanged();
+        });
+        qs('#ownerSummaryBody')?.addEventListener('click', e => {
+            const queueBtn = e.target.closest('.owner-queue-btn');
+            if (queueBtn) openOwnerQueue(queueBtn.dataset.owner);
+        });
+    }
+
+    /* Triage */
+    const TRIAGE_STORAGE_KEY = 'aqd_triage';
+    const TRIAGE_CLASSIFICATIONS = {
+        'known-issue': 'Known issue',
+        'product-bug': 'Product bug',
+        'test-bug': 'Test bug',
+        'environment': 'Environment'
+    };
+
+    // Accepts { patterns: { key: entry }, tests: { key: entry } }; entries with an unknown classification are dropped
+    function parseTriageFile(text) {
+        const data = JSON.parse(text);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected an object with "patterns" and "tests"');
+        const triage = { patterns: {}, tests: {} };
+        ['patterns', 'tests'].forEach(kind => {
+            Object.entries(data[kind] || {}).forEach(([key, entry]) => {
+                if (!entry || !TRIAGE_CLASSIFICATIONS[entry.classification]) return;
+                triage[kind][key] = {
+                    classification: entry.classification,
+                    ticket: String(entry.ticket || ''),
+                    note: String(entry.note || ''),
+                    updatedAt: entry.updatedAt || null
+                };
+            });
+        });
+        return triage;
+    }
+
+    // Browser edits; a null entry clears a decision that came with the report
+    function readStoredTriage() {
+        try {
+            const parsed = JSON.parse(localStorage.getItem(TRIAGE_STORAGE_KEY) || '{}');
+            return { patterns: parsed.patterns || {}, tests: parsed.tests || {} };
+        } catch (e) {
+            console.warn('Ignoring invalid stored triage:', e.message);
+            localStorage.removeItem(TRIAGE_STORAGE_KEY);
+            return { patterns: {}, tests: {} };
+        }
+    }
+
+    function loadTriage() {
+        let triage = { patterns: {}, tests: {} };
+        if (reportData?.triage) {
+            try {
+                triage = parseTriageFile(reportData.triage);
+            } catch (e) {
+                console.warn('Ignoring invalid report triage file:', e.message);
+            }
+        }
+        const stored = readStoredTriage();
+        ['patterns', 'tests'].forEach(kind => {
+            Object.entries(stored[kind]).forEach(([key, entry]) => {
+                if (entry) triage[kind][key] = entry;
+                else delete triage[kind][key];
+            });
+        });
+        triageState = triage;
+        updateTriageInfo();
+    }
+
+    function saveTriageEntries(entries) {
+        const stored = readStoredTriage();
+        entries.forEach(({ kind, key, entry }) => { stored[kind][key] = entry; });
+        localStorage.setItem(TRIAGE_STORAGE_KEY, JSON.stringify(stored));
+        loadTriage();
+        loadFailureAnalysis();
+        applyFilters();
+    }
+
+    function updateTriageInfo(error) {
+        const info = qs('#triageInfo');
+        if (!info) return;
+        const patterns = Object.keys(triageState.patterns).length;
+        const tests = Object.keys(triageState.tests).length;
+        info.textContent = error || (patterns || tests
+            ? `Triage: ${patterns} pattern${patterns === 1 ? '' : 's'}, ${tests} test${tests === 1 ? '' : 's'}`
+            : 'No triage decisions yet – use Triage on a failure pattern, test case or test row');
+        info.classList.toggle('has-errors', !!error);
+    }
+
+    function triageTestKey(test) {
+        return extractTestCaseId(test.caseTags) || test.testCaseName;
+    }
+
+    function getPatternTriage(keys) {
+        const key = keys.find(k => triageState.patterns[k]);
+        return key ? triageState.patterns[key] : null;
+    }
+
+    // A test's own decision wins over the decision on the failure pattern it belongs to
+    function getTestTriage(test) {
+        const own = triageState.tests[triageTestKey(test)];
+        if (own) return own;
+        if (!isFailingStatus(test.status) || !Object.keys(triageState.patterns).length) return null;
+        const entry = getPatternTriage([getFailureClusterKey(test), failurePatternKey(test), ...getCommonFailureKeys(test)]);
+        return entry ? { ...entry, fromPattern: true } : null;
+    }
+
+    // C#-computed patterns of a failing test (sent with the report), each with the displayed cluster it was merged into
+    function getCommonFailureKeys(test) {
+        return (test.failurePatterns || []).flatMap(key => [clusterKeyByPattern.get(key) || key, key]);
+    }
+
+    // Pattern key of a failing test as the JavaScript analysis computes it
+    function failurePatternKey(test) {
+        const reason = test.failureReason || '';
+        const step = test.failingStep || '';
+        return maskPatternKey(generatePatternKey(reason, step, categorizeFailure(reason, step)));
+    }
+
+    // Key of the displayed cluster a failing test belongs to (its own pattern when not merged)
+    function getFailureClusterKey(test) {
+        const key = failurePatternKey(test);
+        return clusterKeyByPattern.get(key) || key;
+    }
+
+    // Classification label on each test, for the triage: search field
+    function assignTriage(tests) {
+        tests.forEach(t => {
+            const entry = getTestTriage(t);
+            t.triage = entry ? TRIAGE_CLASSIFICATIONS[entry.classification] : '';
+        });
+    }
+
+    function buildTriageBadge(entry) {
+        if (!entry) return '';
+        const label = TRIAGE_CLASSIFICATIONS[entry.classification];
+        const title = [
+            label + (entry.fromPattern ? ' (via failure pattern)' : ''),
+            entry.ticket && `Ticket: ${entry.ticket}`,
+            entry.note
+        ].filter(Boolean).join('\n');
+        return `<span class="triage-badge triage-${entry.classification}" title="${escapeAttr(title)}">${escapeHtml(label)}${entry.ticket ? ' · ' + escapeHtml(entry.ticket) : ''}</span>`;
+    }
+
+    function buildTriageButton(kind, key, entry) {
+        return `<button type="button" class="view-details-btn triage-btn" data-triage-kind="${kind}" data-triage-key="${escapeAttr(key)}">${entry ? 'Edit triage' : 'Triage'}</button>`;
+    }
+
+    function openTriageEditor(kind, key) {
+        const modal = qs('#triageModal');
+        const select = qs('#triageClassification');
+        if (!modal || !select) return;
+        const entry = triageState[kind]?.[key];
+        triageEditing = { kind, key };
+        qs('#triageTarget').textContent = (kind === 'patterns' ? 'Failure pattern: ' : 'Test: ') + key;
+        select.innerHTML = Object.entries(TRIAGE_CLASSIFICATIONS)
+            .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('');
+        select.value = entry?.classification || 'known-issue';
+        qs('#triageTicket').value = entry?.ticket || '';
+        qs('#triageNote').value = entry?.note || '';
+        qs('#triageClearBtn').hidden = !entry;
+        modal.classList.add('show');
+        select.focus();
+    }
+
+    function closeTriageEditor() {
+        qs('#triageModal')?.classList.remove('show');
+        triageEditing = null;
+    }
+
+    function exportTriage() {
+        const content = JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), ...triageState }, null, 2);
+        downloadBlob(content, `triage-${reportFileStamp()}.json`, 'application/json');
+    }
+
+    function setupTriage() {
+        document.addEventListener('click', e => {
+            const btn = e.target.closest('.triage-btn');
+            if (btn) openTriageEditor(btn.dataset.triageKind, btn.dataset.triageKey);
+        });
+        qs('#triageForm')?.addEventListener('submit', e => {
+            e.preventDefault();
+            if (!triageEditing) return;
+            const entry = {
+                classification: qs('#triageClassification').value,
+                ticket: qs('#triageTicket').value.trim(),
+                note: qs('#triageNote').value.trim(),
+                updatedAt: new Date().toISOString()
+            };
+            const { kind, key } = triageEditing;
+            closeTriageEditor();
+            saveTriageEntries([{ kind, key, entry }]);
+        });
+        qs('#triageClearBtn')?.addEventListener('click', () => {
+            if (!triageEditing) return;
+            const { kind, key } = triageEditing;
+            closeTriageEditor();
+            saveTriageEntries([{ kind, key, entry: null }]);
+        });
+        qs('#triageClose')?.addEventListener('click', closeTriageEditor);
+        qs('#triageModal')?.addEventListener('click', e => { if (e.target === e.currentTarget) closeTriageEditor(); });
+        
+        qs('#exportTriageBtn')?.addEventListener('click', exportTriage);
+        const importBtn = qs('#importTriageBtn');
+        const importInput = qs('#importTriageInput');
+        importBtn?.addEventListener('click', () => importInput?.click());
+        importInput?.addEventListener('change', () => {
+            const file = importInput.files?.[0];
+            importInput.value = '';
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                let imported;
+                try {
+                    imported = parseTriageFile(reader.result);
+                } catch (e) {
+                    updateTriageInfo(`Could not import ${file.name}: ${e.message}`);
+                    return;
+                }
+                saveTriageEntries(['patterns', 'tests'].flatMap(kind =>
+                    Object.entries(imported[kind]).map(([key, entry]) => ({ kind, key, entry }))));
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    /* Known Issues */
+    const KNOWN_ISSUES_STORAGE_KEY = 'aqd_known_issues';
+
+    // Accepts an array (or { knownIssues: [...] }) of { testId?, pattern?, flags?, ticket, expires?, note? }
+    function parseKnownIssuesFile(text) {
+        const entries = [];
+        const errors = [];
+        if (!text) return { entries, errors };
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { entries, errors: [`Invalid JSON: ${e.message}`] };
+        }
+        const list = Array.isArray(data) ? data : data?.knownIssues;
+        if (!Array.isArray(list)) return { entries, errors: ['Expected an array of known issues'] };
+        const startOfToday = new Date().setHours(0, 0, 0, 0);
+        list.forEach((item, i) => {
+            const label = `Entry ${i + 1}`;
+            if (!item || !item.ticket) return errors.push(`${label}: missing ticket`);
+            if (!item.testId && !item.pattern) return errors.push(`${label}: needs a testId or a pattern`);
+            let regex = null;
+            if (item.pattern) {
+                try {
+                    regex = new RegExp(item.pattern, String(item.flags ?? 'i').replace(/[gy]/g, ''));
+                } catch (e) {
+                    return errors.push(`${label}: ${e.message}`);
+                }
+            }
+            const expiryDate = item.expires ? parseExpiryDate(item.expires) : null;
+            if (item.expires && !expiryDate) return errors.push(`${label}: invalid expires date "${item.expires}" – use YYYY-MM-DD`);
+            entries.push({
+                testId: item.testId ? String(item.testId) : null,
+                regex,
+                ticket: String(item.ticket),
+                expires: expiryDate ? [expiryDate.getFullYear(), expiryDate.getMonth() + 1, expiryDate.getDate()].map(n => String(n).padStart(2, '0')).join('-') : null,
+                expired: !!expiryDate && expiryDate.getTime() < startOfToday,
+                note: item.note ? String(item.note) : ''
+            });
+        });
+        return { entries, errors };
+    }
+
+    // Local midnight of a YYYY-MM-DD (or YYYY/M/D) date, optionally followed by a time; null for anything else
+    function parseExpiryDate(value) {
+        const m = String(value).trim().match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ].*)?$/);
+        if (!m) return null;
+        const date = new Date(+m[1], m[2] - 1, +m[3]);
+        return date.getMonth() === m[2] - 1 && date.getDate() === +m[3] ? date : null;
+    }
+
+    function knownIssueMatches(entry, test) {
+        if (entry.testId && entry.testId !== triageTestKey(test) && entry.testId !== test.testCaseName) return false;
+        return !entry.regex || [test.failureReason, test.failingStep].some(text => text && entry.regex.test(text));
+    }
+
+    function loadKnownIssues() {
+        let text = reportData?.knownIssues || null;
+        let source = 'report configuration';
+        const stored = localStorage.getItem(KNOWN_ISSUES_STORAGE_KEY);
+        if (stored) {
+            try {
+                const parsed = JSON.parse(stored);
+                text = parsed.text;
+                source = parsed.fileName || 'imported file';
+            } catch (e) {
+                console.warn('Ignoring invalid stored known issues:', e.message);
+                localStorage.removeItem(KNOWN_ISSUES_STORAGE_KEY);
+            }
+        }
+        const { entries, errors } = parseKnownIssuesFile(text);
+        knownIssues = entries;
+        knownIssueByTest = new Map();
+        const expiredHits = new Map();
+        (reportData?.testResults || []).forEach(test => {
+            test.knownIssue = '';
+            if (!isFailingStatus(test.status)) return;
+            // Expired entries no longer suppress anything, but are counted for the warning
+            const entry = entries.find(e => !e.expired && knownIssueMatches(e, test)) || entries.find(e => knownIssueMatches(e, test));
+            if (!entry) return;
+            if (entry.expired) {
+                expiredHits.set(entry, (expiredHits.get(entry) || 0) + 1);
+                return;
+            }
+            knownIssueByTest.set(test, entry);
+            test.knownIssue = entry.ticket;
+        });
+        renderKnownIssuesWarning(entries.filter(e => e.expired), expiredHits);
+        
+        const info = qs('#knownIssuesInfo');
+        if (info) {
+            info.textContent = entries.length
+                ? `Known issues: ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} from ${source} · ${knownIssueByTest.size} matching failure${knownIssueByTest.size === 1 ? '' : 's'}` + (errors.length ? ` · ${errors.length} skipped` : '')
+                : 'No known issues – load a list to separate expected failures from new ones' + (errors.length ? ` (${errors[0]})` : '');
+            info.title = errors.join('\n');
+            info.classList.toggle('has-errors', errors.length > 0);
+        }
+        const resetBtn = qs('#resetKnownIssuesBtn');
+        if (resetBtn) resetBtn.hidden = !stored;
+    }
+
+    function renderKnownIssuesWarning(expired, expiredHits) {
+        const box = qs('#knownIssuesWarning');
+        if (!box) return;
+        box.hidden = expired.length === 0;
+        if (!expired.length) {
+            box.innerHTML = '';
+            return;
+        }
+        box.innerHTML = `<strong><i class="fa-solid fa-triangle-exclamation"></i> ${expired.length} known issue${expired.length === 1 ? ' has' : 's have'} expired</strong>
+            <ul>${expired.map(e => {
+                const hits = expiredHits.get(e) || 0;
+                return `<li>${escapeHtml(e.ticket)} (${escapeHtml(e.testId || e.regex.source)}) expired ${escapeHtml(e.expires)}${hits ? ` · ${hits} failure${hits === 1 ? '' : 's'} counted as new` : ''}</li>`;
+            }).join('')}</ul>
+            <span>Close the ticket or extend the expiry date in the known-issues file.</span>`;
+    }
+
+    // "N new · M known" for a set of failing tests; empty when no known issues match
+    function buildKnownSplit(tests) {
+        if (!knownIssueByTest.size) return '';
+        const known = tests.filter(t => knownIssueByTest.has(t)).length;
+        return `<div class="metric-split"><span class="metric-split-new">${tests.length - known} new</span> · <span class="metric-split-known">${known} known</span></div>`;
+    }
+
+    function buildKnownBadge(test) {
+        const entry = knownIssueByTest.get(test);
+        if (!entry) return '';
+        const title = [`Known issue ${entry.ticket}`, entry.expires && `Expires ${entry.expires}`, entry.note].filter(Boolean).join('\n');
+        return `<span class="known-badge" title="${escapeAttr(title)}">Known · ${escapeHtml(entry.ticket)}</span>`;
+    }
+
+    function onKnownIssuesChanged() {
+        loadKnownIssues();
+        renderMetricsGrid();
+        loadFailureAnalysis();
+        applyFilters();
+    }
+
+    function setupKnownIssuesLoading() {
+        const btn = qs('#loadKnownIssuesBtn');
+        const input = qs('#loadKnownIssuesInput');
+        btn?.addEventListener('click', () => input?.click());
+        input?.addEventListener('change', () => {
+            const file = input.files?.[0];
+            input.value = '';
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                const { entries, errors } = parseKnownIssuesFile(reader.result);
+                if (!entries.length) {
+                    const info = qs('#knownIssuesInfo');
+                    if (info) {
+                        info.textContent = `No known issues in ${file.name}` + (errors.length ? `: ${errors[0]}` : '');
+                        info.classList.add('has-errors');
+                    }
+                    return;
+                }
+                localStorage.setItem(KNOWN_ISSUES_STORAGE_KEY, JSON.stringify({ fileName: file.name, text: reader.result }));
+                onKnownIssuesChanged();
+            };
+            reader.readAsText(file);
+        });
+        qs('#resetKnownIssuesBtn')?.addEventListener('click', () => {
+            localStorage.removeItem(KNOWN_ISSUES_STORAGE_KEY);
+            onKnownIssuesChanged();
+        });
+    }
+
+    /* Failure Categorization Rules */
+    const FAILURE_RULES_STORAGE_KEY = 'aqd_failure_rules';
+
+    function loadFailureRules() {
+        let config = reportData?.failureRules || null;
+        let source = 'report configuration';
+        const stored = localStorage.getItem(FAILURE_RULES_STORAGE_KEY);
+        if (stored) {
+            try {
+                const parsed = JSON.parse(stored);
+                config = parsed.config;
+                source = parsed.fileName || 'loaded file';
+            } catch (e) {
+                console.warn('Ignoring invalid stored failure rules:', e.message);
+                localStorage.removeItem(FAILURE_RULES_STORAGE_KEY);
+            }
+        }
+        applyFailureRules(config ? compileFailureRules(config, source) : null);
+        const resetBtn = qs('#resetRulesBtn');
+        if (resetBtn) resetBtn.hidden = !stored;
+    }
+
+    function compileFailureRules(config, source) {
+        // Accept either { mode, rules: [...] } or a bare array of rules
+        const rawRules = Array.isArray(config) ? config : (config?.rules || []);
+        const mode = String((Array.isArray(config) ? 'extend' : config?.mode) || 'extend').toLowerCase() === 'replace' ? 'replace' : 'extend';
+        const errors = [];
+        const rules = [];
+        rawRules.forEach((raw, index) => {
+            const label = raw?.name || `#${index + 1}`;
+            if (!raw?.name || !raw?.pattern) { errors.push(`Rule ${label}: "name" and "pattern" are required`); return; }
+            let regex, keyRegex = null;
+            try {
+                const flags = String(raw.flags ?? 'i').replace(/[gy]/g, '');
+                regex = new RegExp(raw.pattern, flags);
+                if (raw.keyPattern) keyRegex = new RegExp(raw.keyPattern, flags);
+            } catch (e) {
+                errors.push(`Rule ${label}: ${e.message}`);
+                return;
+            }
+            const target = String(raw.target || 'combined').toLowerCase();
+            const textFor = (reason, step) => target === 'reason' ? reason : target === 'step' ? step : `${reason} ${step}`;
+            rules.push({
+                name: String(raw.name),
+                priority: Number.isFinite(Number(raw.priority)) ? Number(raw.priority) : 50,
+                custom: true,
+                matches: (reason, step) => regex.test(textFor(reason, step)),
+                patternKey: (reason, step) => {
+                    const match = keyRegex?.exec(textFor(reason, step));
+                    const key = match ? normalizeWhitespace(match.length > 1 ? match.slice(1).filter(Boolean).join(' ') : match[0]) : extractFirstWords(reason || step, 4);
+                    return `${raw.name}::${key || 'Unknown'}`;
+                },
+                businessSymptom: raw.businessSymptom || null,
+                rootCauseSignal: raw.rootCauseSignal || null,
+                nextAction: raw.nextAction || null
+            });
+        });
+        return { mode, rules, errors, source };
+    }
+
+    function applyFailureRules(compiled) {
+        customFailureRules = compiled && compiled.rules.length ? compiled : null;
+        const base = customFailureRules?.mode === 'replace' ? [] : BUILTIN_FAILURE_RULES.filter(b => !getCustomFailureRule(b.name));
+        activeFailureRules = [...(customFailureRules?.rules || []), ...base].sort((a, b) => a.priority - b.priority);
+        updateFailureRulesInfo(compiled);
+    }
+
+    function updateFailureRulesInfo(compiled) {
+        const info = qs('#failureRulesInfo');
+        if (!info) return;
+        const errors = compiled?.errors || [];
+        if (!customFailureRules) {
+            info.textContent = `Categorization: ${BUILTIN_FAILURE_RULES.length} built-in rules` + (errors.length ? ` (${errors.length} custom rule error${errors.length === 1 ? '' : 's'})` : '');
+        } else {
+            const builtins = activeFailureRules.length - customFailureRules.rules.length;
+            info.textContent = `Categorization: ${customFailureRules.rules.length} custom rule${customFailureRules.rules.length === 1 ? '' : 's'} from ${customFailureRules.source}` +
+                (customFailureRules.mode === 'replace' ? ' (replacing built-ins)' : ` + ${builtins} built-in`) +
+                (errors.length ? ` · ${errors.length} skipped` : '');
+        }
+        info.title = errors.join('\n');
+        info.classList.toggle('has-errors', errors.length > 0);
+    }
+
+    function setupFailureRuleLoading() {
+        const btn = qs('#loadRulesBtn');
+        const input = qs('#loadRulesInput');
+        const resetBtn = qs('#resetRulesBtn');
+        btn?.addEventListener('click', () => input?.click());
+        input?.addEventListener('change', () => {
+            const file = input.files?.[0];
+            input.value = '';
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                let compiled;
+                try {
+                    compiled = compileFailureRules(JSON.parse(reader.result), file.name);
+                } catch (e) {
+                    compiled = { mode: 'extend', rules: [], errors: [`${file.name}: ${e.message}`], source: file.name };
+                }
+                if (!compiled.rules.length) {
+                    updateFailureRulesInfo(compiled);
+                    const info = qs('#failureRulesInfo');
+                    if (info) info.textContent = `No valid rules in ${file.name}: ${compiled.errors[0] || 'empty rule list'}`;
+                    return;
+                }
+                localStorage.setItem(FAILURE_RULES_STORAGE_KEY, JSON.stringify({ fileName: file.name, config: JSON.parse(reader.result) }));
+                loadFailureRules();
+                loadFailureAnalysis();
+            };
+            reader.readAsText(file);
+        });
+        resetBtn?.addEventListener('click', () => {
+            localStorage.removeItem(FAILURE_RULES_STORAGE_KEY);
+            loadFailureRules();
+            loadFailureAnalysis();
+        });
+    }
+
+    function renderFailureAnalysisFromData(failureAnalysis, totalFailures, totalTests) {
+        console.log('Rendering failure analysis from C# data');
+        
+        // Render failure categories summary
+        const grid = qs('#failureStatsGrid');
+        if (grid && failureAnalysis.failureCategories) {
+            const fc = failureAnalysis.failureCategories;
+            const failureRate = totalTests > 0 ? (totalFailures / totalTests * 100) : 0;
+            
+            const cards = [
+                {
+                    label: 'Total Failures',
+                    value: `${totalFailures} (${failureRate.toFixed(1)}%)`,
+                    className: 'error',
+                    desc: `${totalFailures} failures out of ${totalTests} total tests`,
+                    split: buildKnownSplit(reportData.testResults.filter(t => isFailingStatus(t.status)))
+                },
+                {
+                    label: 'Assertion Failures',
+                    value: `${fc.assertionFailures} (${fc.assertionFailureRate.toFixed(1)}%)`,
+                    className: 'critical',
+                    desc: 'Test assertion and validation failures'
                 },
                 {
                     label: 'Selenium Issues',
@@ -559,31 +2289,54 @@
                 `<div class="metric-card ${card.className}" tabindex="0" data-help="${escapeAttr(card.desc)}">
                     <div class="metric-label">${escapeHtml(card.label)}</div>
                     <div class="metric-value">${escapeHtml(card.value)}</div>
+                    ${card.split || ''}
                 </div>`
             ).join('');
         }
 
-        // Render common failures
+        // Render common failures, merging similar C# patterns the same way as the JavaScript clusters
         const commonBody = qs('#commonFailuresBody');
         if (commonBody && failureAnalysis.commonFailures) {
-            if (failureAnalysis.commonFailures.length === 0) {
-                commonBody.innerHTML = '<tr><td colspan="7">No common failure patterns found</td></tr>';
+            const clusterEntries = clusterCommonFailures(failureAnalysis.commonFailures);
+            clusterKeyByPattern = new Map(clusterEntries.flatMap(cluster => cluster.mergedKeys.map(k => [k, cluster.key])));
+            clusterEntries.forEach(cluster => { cluster.triage = getPatternTriage([cluster.key, ...cluster.mergedKeys]); });
+            failureClusterRows = clusterEntries.map(cluster => ({
+                ...triageExportFields(cluster.triage),
+                pattern: cluster.key, category: cluster.category, count: cluster.count,
+                testCases: [...cluster.tests].join(', '), suites: [...cluster.suites].join(', '),
+                impact: cluster.impact, recommendedAction: cluster.recommendedAction,
+                owner: joinOwners(cluster.owners),
+                variants: cluster.variants.size
+            }));
+            setTableHeaders(commonBody, ['Pattern', 'Category', 'Count', 'Test Cases', 'Affected Suites', 'Impact', 'Recommended Action', 'Owner']);
+            setupSimilarityControl();
+            if (clusterEntries.length === 0) {
+                commonBody.innerHTML = '<tr><td colspan="8">No common failure patterns found</td></tr>';
             } else {
-                commonBody.innerHTML = failureAnalysis.commonFailures.map(failure => {
-                    const suites = failure.affectedSuites.slice(0, 3).join(', ') + 
-                        (failure.affectedSuites.length > 3 ? ` (+${failure.affectedSuites.length - 3} more)` : '');
-                    const tests = failure.affectedTestCases.slice(0, 5).join(', ') + 
-                        (failure.affectedTestCases.length > 5 ? ` (+${failure.affectedTestCases.length - 5} more)` : '');
+                commonBody.innerHTML = clusterEntries.map((cluster, index) => {
+                    const suiteList = [...cluster.suites];
+                    const testList = [...cluster.tests];
+                    const suites = suiteList.slice(0, 3).map(name => buildSuiteLink(name)).join(', ') + 
+                        (suiteList.length > 3 ? escapeHtml(` (+${suiteList.length - 3} more)`) : '');
+                    const tests = testList.slice(0, 5).join(', ') + 
+                        (testList.length > 5 ? ` (+${testList.length - 5} more)` : '');
+                    const variantsButton = cluster.variants.size > 1
+                        ? `<button type="button" class="view-details-btn variants-btn" data-variants="cluster-variants-${index}" aria-expanded="false">Show ${cluster.variants.size} variants</button>`
+                        : '';
                     
                     return `<tr>
-                        <td title="${escapeAttr(failure.pattern)}">${escapeHtml(truncateText(failure.pattern, 60))}</td>
-                        <td><span class="status-badge status-${failure.category.toLowerCase()}">${escapeHtml(failure.category)}</span></td>
-                        <td><span class="failure-count">${failure.failureCount}</span></td>
-                        <td title="${escapeAttr(failure.affectedTestCases.join(', '))}">${escapeHtml(tests)}</td>
-                        <td title="${escapeAttr(failure.affectedSuites.join(', '))}">${escapeHtml(suites)}</td>
-                        <td><span class="impact-badge impact-${failure.impact.toLowerCase()}">${escapeHtml(failure.impact)}</span></td>
-                        <td>${escapeHtml(failure.recommendedAction)}</td>
-                    </tr>`;
+                        <td title="${escapeAttr(cluster.mergedKeys.join('\n'))}">
+                            ${escapeHtml(truncateText(cluster.key, 60))}
+                            <div class="triage-line">${buildTriageBadge(cluster.triage)}${buildTriageButton('patterns', cluster.key, cluster.triage)}${variantsButton}</div>
+                        </td>
+                        <td><span class="status-badge status-${cluster.category.toLowerCase()}">${escapeHtml(cluster.category)}</span></td>
+                        <td><span class="failure-count">${cluster.count}</span></td>
+                        <td title="${escapeAttr(testList.join(', '))}">${escapeHtml(tests)}</td>
+                        <td title="${escapeAttr(suiteList.join(', '))}">${suites}</td>
+                        <td><span class="impact-badge impact-${cluster.impact.toLowerCase()}">${escapeHtml(cluster.impact)}</span></td>
+                        <td>${escapeHtml(cluster.recommendedAction)}</td>
+                        <td>${escapeHtml(failureClusterRows[index].owner)}</td>
+                    </tr>` + (variantsButton ? buildVariantsRow(cluster, `cluster-variants-${index}`, 8) : '');
                 }).join('');
             }
         }
@@ -591,21 +2344,24 @@
         // Render test case analysis
         const testCaseBody = qs('#testCaseFailuresBody');
         if (testCaseBody && failureAnalysis.testCaseAnalysis) {
+            setTableHeaders(testCaseBody, ['Test Case ID', 'Failures', 'Category', 'Primary Reason', 'Affected Suites', 'Owner', 'Actions']);
             if (failureAnalysis.testCaseAnalysis.length === 0) {
-                testCaseBody.innerHTML = '<tr><td colspan="6">No test case failures found</td></tr>';
+                testCaseBody.innerHTML = '<tr><td colspan="7">No test case failures found</td></tr>';
             } else {
                 testCaseBody.innerHTML = failureAnalysis.testCaseAnalysis.map(testCase => {
-                    const suites = testCase.affectedSuites.slice(0, 2).join(', ') + 
-                        (testCase.affectedSuites.length > 2 ? ` (+${testCase.affectedSuites.length - 2} more)` : '');
+                    const suites = testCase.affectedSuites.slice(0, 2).map(name => buildSuiteLink(name)).join(', ') + 
+                        (testCase.affectedSuites.length > 2 ? escapeHtml(` (+${testCase.affectedSuites.length - 2} more)`) : '');
                     
                     return `<tr>
-                        <td><strong>${escapeHtml(testCase.testCaseId)}</strong></td>
+                        <td><strong>${escapeHtml(testCase.testCaseId)}</strong>${buildTriageBadge(triageState.tests[testCase.testCaseId])}</td>
                         <td><span class="failure-count">${testCase.totalFailures}</span></td>
                         <td><span class="status-badge status-${testCase.failureCategory.toLowerCase()}">${escapeHtml(testCase.failureCategory)}</span></td>
                         <td title="${escapeAttr(testCase.primaryFailureReason)}">${escapeHtml(truncateText(testCase.primaryFailureReason, 60))}</td>
-                        <td title="${escapeAttr(testCase.affectedSuites.join(', '))}">${escapeHtml(suites)}</td>
+                        <td title="${escapeAttr(testCase.affectedSuites.join(', '))}">${suites}</td>
+                        <td>${escapeHtml(getOwnersForCases([testCase.testCaseId], testCase.affectedSuites))}</td>
                         <td>
                             <button class="details-btn" data-testcase="${escapeAttr(testCase.testCaseId)}" type="button">Details</button>
+                            ${buildTriageButton('tests', testCase.testCaseId, triageState.tests[testCase.testCaseId])}
                         </td>
                     </tr>`;
                 }).join('');
@@ -677,7 +2433,7 @@
             
             // Apply categorization rules in priority order
             const category = categorizeFailure(reasonRaw, step);
-            const patternKey = generatePatternKey(reasonRaw, step, category);
+            const patternKey = maskPatternKey(generatePatternKey(reasonRaw, step, category));
             
             // Extract Expected/Actual snippets from NUnit-style diffs
             const { expectedSnippet, actualSnippet } = extractNUnitSnippets(reasonRaw);
@@ -695,6 +2451,7 @@
             const testId = extractTestCaseId(test.caseTags) || test.testCaseName;
             
             return {
+                test,
                 testId,
                 suite: test.suiteName || 'Unknown Suite',
                 status: test.status.toLowerCase(),
@@ -702,6 +2459,7 @@
                 reasonRaw: reasonRaw,
                 category,
                 patternKey,
+                messageKey: maskVariableText(normalizeWhitespace(reasonRaw || step)),
                 expectedSnippet,
                 actualSnippet,
                 locator,
@@ -709,6 +2467,7 @@
                 isTimeout,
                 durationMs: test.durationMs || 0,
                 screenshot: test.screenshotFileName || null, // Use the correct field name
+                owner: getOwner(test),
                 tags: test.caseTags ? test.caseTags.split(',').map(t => t.trim()) : []
             };
         });
@@ -728,21 +2487,30 @@
         environment: /certificate|DNS|connection refused|env|rate limit/i
     };
 
+    // Built-in rules in priority order (lower runs first); custom rules are merged in by priority
+    const BUILTIN_FAILURE_RULES = [
+        { name: 'ElementNotFound', priority: 100, matches: (reason, step, combined) => RX.elementNotFound.test(combined) },
+        { name: 'Timeout', priority: 200, matches: (reason, step, combined) => RX.timeout.test(combined) },
+        { name: 'MessageMismatch', priority: 300, matches: reason => RX.messageMismatch.test(reason) },
+        { name: 'ValueMismatch', priority: 400, matches: reason => RX.valueMismatch.test(reason) },
+        { name: 'HTTP', priority: 500, matches: (reason, step, combined) => RX.httpProblem.test(combined) },
+        { name: 'Environment', priority: 600, matches: (reason, step, combined) => RX.environment.test(combined) }
+    ];
+    let activeFailureRules = BUILTIN_FAILURE_RULES;
+
     function categorizeFailure(reasonRaw, step) {
         const combinedText = `${reasonRaw} ${step}`.toLowerCase();
-        
-        // Priority order categorization rules
-        if (RX.elementNotFound.test(combinedText)) return 'ElementNotFound';
-        if (RX.timeout.test(combinedText)) return 'Timeout';
-        if (RX.messageMismatch.test(reasonRaw)) return 'MessageMismatch';
-        if (RX.valueMismatch.test(reasonRaw)) return 'ValueMismatch';
-        if (RX.httpProblem.test(combinedText)) return 'HTTP';
-        if (RX.environment.test(combinedText)) return 'Environment';
-        
-        return 'Other';
+        const rule = activeFailureRules.find(r => r.matches(reasonRaw, step, combinedText));
+        return rule ? rule.name : 'Other';
+    }
+
+    function getCustomFailureRule(category) {
+        return customFailureRules?.rules.find(r => r.name === category) || null;
     }
 
     function generatePatternKey(reasonRaw, step, category) {
+        const customRule = getCustomFailureRule(category);
+        if (customRule) return customRule.patternKey(reasonRaw, step);
         switch (category) {
             case 'ElementNotFound':
                 const locator = extractLocator(reasonRaw, step);
@@ -769,13 +2537,13 @@
         }
     }
 
-    function extractNUnitSnippets(reasonRaw) {
+    function extractNUnitSnippets(reasonRaw, maxWords = 12) {
         const expectedMatch = RX.nunitExpected.exec(reasonRaw);
         const actualMatch = RX.nunitActual.exec(reasonRaw);
         
         return {
-            expectedSnippet: expectedMatch ? truncateText(expectedMatch[1], 12, 'words') : null,
-            actualSnippet: actualMatch ? truncateText(actualMatch[1], 12, 'words') : null
+            expectedSnippet: expectedMatch ? truncateText(expectedMatch[1], maxWords, 'words') : null,
+            actualSnippet: actualMatch ? truncateText(actualMatch[1], maxWords, 'words') : null
         };
     }
 
@@ -800,10 +2568,49 @@
         return null;
     }
 
+    const DEFAULT_TEST_CASE_ID_PATTERN = '(?i)\\bC\\d{4,5}\\b';
+
+    // config.testCaseIdPattern lets JIRA keys (ABC-123) or other ID schemes stand in for TestRail C-numbers
+    function getTestCaseIdRegex() {
+        if (testCaseIdRegex) return testCaseIdRegex;
+        try {
+            testCaseIdRegex = compileTestCaseIdPattern(reportData?.config?.testCaseIdPattern || DEFAULT_TEST_CASE_ID_PATTERN);
+        } catch (e) {
+            console.warn('Invalid testCaseIdPattern, using the default:', e.message);
+            testCaseIdRegex = compileTestCaseIdPattern(DEFAULT_TEST_CASE_ID_PATTERN);
+            renderTestCaseIdWarning(reportData?.config?.testCaseIdPattern, e.message);
+        }
+        return testCaseIdRegex;
+    }
+
+    // The pattern is written for .NET: a leading (?i) becomes the i flag; JavaScript has no other inline modifiers
+    function compileTestCaseIdPattern(pattern) {
+        const ignoreCase = pattern.startsWith('(?i)');
+        return new RegExp(ignoreCase ? pattern.slice(4) : pattern, ignoreCase ? 'gi' : 'g');
+    }
+
+    // The report would otherwise pick different IDs than the generated Failure Analysis without saying so
+    function renderTestCaseIdWarning(pattern, message) {
+        const box = qs('#testCaseIdWarning');
+        if (!box) return;
+        box.hidden = false;
+        box.innerHTML = `<strong><i class="fa-solid fa-triangle-exclamation"></i> TestCaseIdPattern <code>${escapeHtml(pattern)}</code> cannot be used here</strong>
+            <ul><li>${escapeHtml(message)}</li></ul>
+            <span>Test case IDs fall back to the default C-numbers and may not match Failure Analysis. Only a leading <code>(?i)</code> is supported as an inline modifier.</span>`;
+    }
+
+    // Case-insensitive patterns upper-case their IDs so c1234 and C1234 are one test case
+    function normalizeTestCaseId(id) {
+        return getTestCaseIdRegex().ignoreCase ? id.toUpperCase() : id;
+    }
+
+    function extractTestCaseIds(tags) {
+        if (!tags) return [];
+        return [...new Set([...String(tags).matchAll(getTestCaseIdRegex())].map(m => normalizeTestCaseId(m[0])).filter(Boolean))];
+    }
+
     function extractTestCaseId(tags) {
-        if (!tags) return null;
-        const match = /\bC\d{4,5}\b/i.exec(tags);
-        return match ? match[0].toUpperCase() : null;
+        return extractTestCaseIds(tags)[0] || null;
     }
 
     function extractTimeoutContext(step) {
@@ -847,7 +2654,54 @@
         return text ? text.replace(/\s+/g, ' ').trim() : '';
     }
 
-    function clusterFailures(failures) {
+    /* Failure Message Normalization & Similarity Clustering */
+    const MASK_RULES = [
+        { rx: /\b(?:https?|ftp|file):\/\/[^\s'"<>)]+/gi, token: '<url>' },
+        { rx: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, token: '<guid>' },
+        { rx: /(?:\b[a-z]:\\|\/)[^\s'"]*?(?:te?mp|var\/folders)[\\/][^\s'"]*/gi, token: '<path>' },
+        { rx: /\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:[.,]\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?/g, token: '<ts>' },
+        { rx: /\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, token: '<hex>' },
+        // HTTP status codes stay visible; every other number is an ID, count or duration
+        { rx: /(?<!(?:status|code|HTTP)\s?)(?<!\d)\d+(?:\.\d+)?/gi, token: '<n>' }
+    ];
+    const QUOTED_VALUE_RX = /(^|[\s(=:,[])(["'])([^"'\n]{1,200})\2(?=$|[\s),.;:\]])/g;
+    const DEFAULT_CLUSTER_SIMILARITY = 0.8;
+    const CLUSTER_SIMILARITY_STORAGE_KEY = 'aqd_cluster_similarity';
+
+    // Replaces run-specific fragments (URLs, GUIDs, temp paths, timestamps, numbers, quoted values) with placeholders
+    function maskVariableText(text, { maskQuoted = true } = {}) {
+        let masked = String(text || '');
+        MASK_RULES.forEach(rule => { masked = masked.replace(rule.rx, rule.token); });
+        if (maskQuoted) masked = masked.replace(QUOTED_VALUE_RX, '$1$2<value>$2');
+        return masked;
+    }
+
+    // Pattern keys keep quoted values: for locators they are the meaningful part
+    function maskPatternKey(key) {
+        const separator = key.indexOf('::');
+        if (separator === -1) return key;
+        return key.slice(0, separator + 2) + maskVariableText(key.slice(separator + 2), { maskQuoted: false });
+    }
+
+    function messageTokens(text) {
+        return new Set(String(text || '').toLowerCase().split(/[^a-z0-9<>_]+/).filter(t => t.length > 1));
+    }
+
+    function tokenSetSimilarity(a, b) {
+        if (!a.size && !b.size) return 1;
+        let shared = 0;
+        a.forEach(t => { if (b.has(t)) shared++; });
+        return shared / (a.size + b.size - shared);
+    }
+
+    function getClusterSimilarityThreshold() {
+        const stored = parseFloat(localStorage.getItem(CLUSTER_SIMILARITY_STORAGE_KEY));
+        const configured = parseFloat(reportData?.config?.clusterSimilarityThreshold);
+        const value = Number.isFinite(stored) ? stored : Number.isFinite(configured) ? configured : DEFAULT_CLUSTER_SIMILARITY;
+        return Math.min(1, Math.max(0, value));
+    }
+
+    function clusterFailures(failures, threshold = getClusterSimilarityThreshold()) {
         const clusters = {};
         
         failures.forEach(failure => {
@@ -857,21 +2711,97 @@
                     category: failure.category,
                     tests: new Set(),
                     suites: new Set(),
+                    owners: new Set(),
                     count: 0,
-                    examples: []
+                    examples: [],
+                    variants: new Map(),
+                    mergedKeys: [key]
                 };
             }
             
             clusters[key].tests.add(failure.testId);
             clusters[key].suites.add(failure.suite);
+            clusters[key].owners.add(failure.owner);
             clusters[key].count++;
             
             if (clusters[key].examples.length < 3) {
                 clusters[key].examples.push(failure);
             }
+            
+            const variant = clusters[key].variants.get(failure.messageKey) || { message: failure.messageKey, example: failure.reasonRaw || failure.step, patternKey: key, count: 0 };
+            variant.count++;
+            clusters[key].variants.set(failure.messageKey, variant);
         });
         
-        return clusters;
+        return threshold < 1 ? mergeSimilarClusters(clusters, threshold) : clusters;
+    }
+
+    // Greedy pass, largest clusters first: a cluster joins the first earlier cluster of the
+    // same category whose representative message is at least `threshold` similar.
+    function mergeSimilarClusters(clusters, threshold) {
+        const ordered = Object.entries(clusters).sort(([, a], [, b]) => b.count - a.count);
+        const merged = [];
+        ordered.forEach(([key, cluster]) => {
+            const tokens = messageTokens(`${key.split('::').slice(1).join(' ')} ${getRepresentativeVariant(cluster).message}`);
+            const target = merged.find(m => m.cluster.category === cluster.category && tokenSetSimilarity(m.tokens, tokens) >= threshold);
+            if (!target) {
+                merged.push({ key, cluster, tokens });
+                return;
+            }
+            const into = target.cluster;
+            cluster.tests.forEach(t => into.tests.add(t));
+            cluster.suites.forEach(s => into.suites.add(s));
+            cluster.owners.forEach(o => into.owners.add(o));
+            into.count += cluster.count;
+            into.examples = into.examples.concat(cluster.examples).slice(0, 3);
+            into.mergedKeys.push(...cluster.mergedKeys);
+            cluster.variants.forEach((variant, message) => {
+                const existing = into.variants.get(message);
+                if (existing) existing.count += variant.count;
+                else into.variants.set(message, variant);
+            });
+        });
+        return Object.fromEntries(merged.map(m => [m.key, m.cluster]));
+    }
+
+    // C# patterns as clusters (each pattern its own variant), merged with the same similarity threshold
+    function clusterCommonFailures(commonFailures, threshold = getClusterSimilarityThreshold()) {
+        const examples = new Map();
+        (reportData?.testResults || []).forEach(test => (test.failurePatterns || []).forEach(key => {
+            if (!examples.has(key)) examples.set(key, test.failureReason || test.failingStep);
+        }));
+        const clusters = {};
+        commonFailures.forEach(f => {
+            clusters[f.pattern] = {
+                category: f.category,
+                tests: new Set(f.affectedTestCases),
+                suites: new Set(f.affectedSuites),
+                owners: new Set([getOwnersForCases(f.affectedTestCases, f.affectedSuites)]),
+                count: f.failureCount,
+                examples: [],
+                variants: new Map([[f.pattern, { message: f.pattern, example: examples.get(f.pattern) || f.pattern, patternKey: f.pattern, count: f.failureCount }]]),
+                mergedKeys: [f.pattern],
+                impact: f.impact,
+                recommendedAction: f.recommendedAction
+            };
+        });
+        const merged = threshold < 1 ? mergeSimilarClusters(clusters, threshold) : clusters;
+        return Object.entries(merged)
+            .map(([key, cluster]) => ({ key, ...cluster, impact: cluster.mergedKeys.length > 1 ? determinePatternImpact(cluster.count, cluster.suites.size) : cluster.impact }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    // Same bands as the C# FailureAnalysisService.DetermineImpact, for merged patterns
+    function determinePatternImpact(failureCount, suiteCount) {
+        if (failureCount > 10 || suiteCount > 3) return 'High';
+        if (failureCount > 5 || suiteCount > 1) return 'Medium';
+        return 'Low';
+    }
+
+    function getRepresentativeVariant(cluster) {
+        let best = null;
+        cluster.variants.forEach(v => { if (!best || v.count > best.count) best = v; });
+        return best || { message: '', example: '', count: 0 };
     }
 
     function computeImpactBadge(cluster) {
@@ -916,7 +2846,8 @@
                 label: 'Total Failures',
                 value: `${totalFailures} (${failureRate.toFixed(1)}%)`,
                 className: 'error',
-                desc: `${totalFailures} failures out of ${totalTests} total tests`
+                desc: `${totalFailures} failures out of ${totalTests} total tests`,
+                split: buildKnownSplit(failures.map(f => f.test))
             },
             {
                 label: 'Element Issues',
@@ -942,11 +2873,24 @@
             `<div class="metric-card ${card.className}" tabindex="0" data-help="${escapeAttr(card.desc)}">
                 <div class="metric-label">${escapeHtml(card.label)}</div>
                 <div class="metric-value">${escapeHtml(card.value)}</div>
+                ${card.split || ''}
             </div>`
         ).join('') + 
         `<div class="metric-card info" tabindex="0" data-help="Suites with the most failures">
             <div class="metric-label">Top Impacted Suites</div>
             <div class="metric-value" style="font-size: 0.8em;">${escapeHtml(topSuites.join(', ') || 'None')}</div>
+        </div>` +
+        renderCustomCategoryCard(failures);
+    }
+
+    function renderCustomCategoryCard(failures) {
+        if (!customFailureRules) return '';
+        const counts = {};
+        failures.filter(f => getCustomFailureRule(f.category)).forEach(f => { counts[f.category] = (counts[f.category] || 0) + 1; });
+        const summary = Object.entries(counts).sort(([, a], [, b]) => b - a).map(([name, count]) => `${name} (${count})`);
+        return `<div class="metric-card info" tabindex="0" data-help="Failures matched by custom categorization rules">
+            <div class="metric-label">Custom Categories</div>
+            <div class="metric-value" style="font-size: 0.8em;">${escapeHtml(summary.join(', ') || 'No matches')}</div>
         </div>`;
     }
 
@@ -958,38 +2902,112 @@
             .map(([key, cluster]) => ({ key, ...cluster, impact: computeImpactBadge(cluster) }))
             .sort((a, b) => b.impact.score - a.impact.score);
         
+        clusterKeyByPattern = new Map(clusterEntries.flatMap(cluster => cluster.mergedKeys.map(k => [k, cluster.key])));
+        clusterEntries.forEach(cluster => { cluster.triage = getPatternTriage([cluster.key, ...cluster.mergedKeys]); });
+        failureClusterRows = clusterEntries.map(cluster => ({
+            ...triageExportFields(cluster.triage),
+            pattern: cluster.key, category: cluster.category, count: cluster.count,
+            testCases: Array.from(cluster.tests).join(', '), suites: Array.from(cluster.suites).join(', '),
+            impact: cluster.impact.label, recommendedAction: getNextAction(cluster.category),
+            owner: joinOwners(cluster.owners),
+            representative: getRepresentativeVariant(cluster).example,
+            variants: cluster.variants.size
+        }));
+        setupSimilarityControl();
+        setTableHeaders(body, ['Pattern', 'Category', 'Count', 'Affected Suites', 'Test Cases', 'Business Symptom', 'Root Cause Signal', 'Impact', 'Next Action', 'Owner']);
+        
         if (clusterEntries.length === 0) {
-            body.innerHTML = '<tr><td colspan="9">No failure patterns found</td></tr>';
+            body.innerHTML = '<tr><td colspan="10">No failure patterns found</td></tr>';
             return;
         }
         
-        body.innerHTML = clusterEntries.map(cluster => {
+        body.innerHTML = clusterEntries.map((cluster, index) => {
             const percentage = ((cluster.count / totalFailures) * 100).toFixed(1);
-            const suites = Array.from(cluster.suites).slice(0, 3).join(', ') + 
-                (cluster.suites.size > 3 ? ` (+${cluster.suites.size - 3} more)` : '');
+            const suites = Array.from(cluster.suites).slice(0, 3).map(name => buildSuiteLink(name)).join(', ') + 
+                (cluster.suites.size > 3 ? escapeHtml(` (+${cluster.suites.size - 3} more)`) : '');
             const tests = Array.from(cluster.tests).slice(0, 5).join(', ') + 
                 (cluster.tests.size > 5 ? ` (+${cluster.tests.size - 5} more)` : '');
             
             const businessSymptom = getBusinessSymptom(cluster.category, cluster.key);
             const rootCauseSignal = getRootCauseSignal(cluster.category, cluster.key);
             const nextAction = getNextAction(cluster.category);
-            const owner = getOwner(suites);
+            const owner = joinOwners(cluster.owners);
+            const representative = getRepresentativeVariant(cluster);
+            const variantsButton = cluster.variants.size > 1
+                ? `<button type="button" class="view-details-btn variants-btn" data-variants="cluster-variants-${index}" aria-expanded="false">Show ${cluster.variants.size} variants</button>`
+                : '';
             
             return `<tr>
-                <td title="${escapeAttr(cluster.key)}">${escapeHtml(truncateText(cluster.key, 60))}</td>
+                <td title="${escapeAttr(cluster.mergedKeys.join('\n'))}">
+                    ${escapeHtml(truncateText(cluster.key, 60))}
+                    <div class="cluster-representative" title="${escapeAttr(representative.example)}">${escapeHtml(truncateText(representative.example, 120))}</div>
+                    <div class="triage-line">${buildTriageBadge(cluster.triage)}${buildTriageButton('patterns', cluster.key, cluster.triage)}${variantsButton}</div>
+                </td>
                 <td><span class="status-badge status-${cluster.category.toLowerCase()}">${escapeHtml(cluster.category)}</span></td>
                 <td><span class="failure-count">${cluster.count}</span> (${percentage}%)</td>
-                <td title="${escapeAttr(Array.from(cluster.suites).join(', '))}">${escapeHtml(suites)}</td>
+                <td title="${escapeAttr(Array.from(cluster.suites).join(', '))}">${suites}</td>
                 <td title="${escapeAttr(Array.from(cluster.tests).join(', '))}">${escapeHtml(tests)}</td>
                 <td>${escapeHtml(businessSymptom)}</td>
                 <td>${escapeHtml(rootCauseSignal)}</td>
                 <td><span class="impact-badge impact-${cluster.impact.label.toLowerCase()}">${escapeHtml(cluster.impact.label)}</span></td>
                 <td>${escapeHtml(nextAction)}</td>
                 <td>${escapeHtml(owner)}</td>
-            </tr>`;
+            </tr>` + (variantsButton ? buildVariantsRow(cluster, `cluster-variants-${index}`) : '');
         }).join('');
     }
 
+    function triageExportFields(entry) {
+        return {
+            triage: entry ? TRIAGE_CLASSIFICATIONS[entry.classification] : '',
+            ticket: entry?.ticket || '',
+            triageNote: entry?.note || ''
+        };
+    }
+
+    function buildVariantsRow(cluster, id, colspan = 10) {
+        const variants = [...cluster.variants.values()].sort((a, b) => b.count - a.count);
+        return `<tr class="cluster-variants" id="${id}" hidden><td colspan="${colspan}">
+            <table class="variants-table">
+                <thead><tr><th>Normalized Message</th><th>Count</th><th>Example</th><th>Pattern Key</th></tr></thead>
+                <tbody>${variants.map(v => `<tr>
+                    <td><code>${escapeHtml(truncateText(v.message, 160))}</code></td>
+                    <td><span class="failure-count">${v.count}</span></td>
+                    <td title="${escapeAttr(v.example)}">${escapeHtml(truncateText(v.example, 120))}</td>
+                    <td>${escapeHtml(v.patternKey)}</td>
+                </tr>`).join('')}</tbody>
+            </table>
+        </td></tr>`;
+    }
+
+    function setupSimilarityControl() {
+        const control = qs('#similarityControl');
+        const input = qs('#clusterSimilarity');
+        const output = qs('#clusterSimilarityValue');
+        if (!control || !input) return;
+        control.hidden = false;
+        const threshold = getClusterSimilarityThreshold();
+        input.value = String(threshold);
+        if (output) output.textContent = threshold >= 1 ? 'exact' : Math.round(threshold * 100) + '%';
+        if (input.dataset.bound) return;
+        input.dataset.bound = 'true';
+        input.addEventListener('input', () => {
+            if (output) output.textContent = parseFloat(input.value) >= 1 ? 'exact' : Math.round(parseFloat(input.value) * 100) + '%';
+        });
+        input.addEventListener('change', () => {
+            localStorage.setItem(CLUSTER_SIMILARITY_STORAGE_KEY, input.value);
+            loadFailureAnalysis();
+        });
+        qs('#commonFailuresBody')?.addEventListener('click', e => {
+            const btn = e.target.closest('.variants-btn');
+            if (!btn) return;
+            const row = document.getElementById(btn.dataset.variants);
+            if (!row) return;
+            row.hidden = !row.hidden;
+            btn.setAttribute('aria-expanded', String(!row.hidden));
+            btn.textContent = (row.hidden ? 'Show ' : 'Hide ') + btn.textContent.replace(/^(Show|Hide) /, '');
+        });
+    }
+
     function renderTestCaseRollup(failures) {
         const body = qs('#testCaseFailuresBody');
         if (!body) return;
@@ -1011,6 +3029,7 @@
                 const primaryReason = testFailures[0].patternKey.split('::')[1] || dominantCategory;
                 const affectedSuites = [...new Set(testFailures.map(f => f.suite))];
                 const hasScreenshot = testFailures.some(f => f.screenshot);
+                const owner = joinOwners(testFailures.map(f => f.owner));
                 
                 return {
                     testId,
@@ -1019,30 +3038,34 @@
                     dominantCategory,
                     primaryReason,
                     affectedSuites,
-                    hasScreenshot
+                    hasScreenshot,
+                    owner
                 };
             })
             .sort((a, b) => b.failureCount - a.failureCount);
         
+        setTableHeaders(body, ['Test Case ID', 'Failures', 'Category', 'Primary Reason', 'Affected Suites', 'Owner', 'Actions', 'Next Step']);
         if (entries.length === 0) {
-            body.innerHTML = '<tr><td colspan="7">No test case failures found</td></tr>';
+            body.innerHTML = '<tr><td colspan="8">No test case failures found</td></tr>';
             return;
         }
         
         body.innerHTML = entries.map(entry => {
-            const suites = entry.affectedSuites.slice(0, 2).join(', ') + 
-                (entry.affectedSuites.length > 2 ? ` (+${entry.affectedSuites.length - 2} more)` : '');
+            const suites = entry.affectedSuites.slice(0, 2).map(name => buildSuiteLink(name)).join(', ') + 
+                (entry.affectedSuites.length > 2 ? escapeHtml(` (+${entry.affectedSuites.length - 2} more)`) : '');
             const nextStep = getNextAction(entry.dominantCategory);
             
             return `<tr>
-                <td><strong>${escapeHtml(entry.testId)}</strong></td>
+                <td><strong>${escapeHtml(entry.testId)}</strong>${buildTriageBadge(triageState.tests[entry.testId])}</td>
                 <td><span class="failure-count">${entry.failureCount}</span></td>
                 <td><span class="status-badge status-${entry.dominantCategory.toLowerCase()}">${escapeHtml(entry.dominantCategory)}</span></td>
-                <td title="${escapeAttr(entry.primaryFailureReason)}">${escapeHtml(truncateText(entry.primaryFailureReason, 60))}</td>
-                <td title="${escapeAttr(entry.affectedSuites.join(', '))}">${escapeHtml(suites)}</td>
+                <td title="${escapeAttr(entry.primaryReason)}">${escapeHtml(truncateText(entry.primaryReason, 60))}</td>
+                <td title="${escapeAttr(entry.affectedSuites.join(', '))}">${suites}</td>
+                <td>${escapeHtml(entry.owner)}</td>
                 <td>
                     ${entry.hasScreenshot ? `<button class="screenshot-btn" data-testcase="${escapeAttr(entry.testId)}" type="button">Screenshot</button>` : ''}
                     <button class="details-btn" data-testcase="${escapeAttr(entry.testId)}" type="button">Details</button>
+                    ${buildTriageButton('tests', entry.testId, triageState.tests[entry.testId])}
                 </td>
                 <td>${escapeHtml(nextStep)}</td>
             </tr>`;
@@ -1142,6 +3165,10 @@
     }
 
     function wireRowActions() {
+        // Document-level listeners: only wire once even when the analysis is re-run
+        if (rowActionsWired) return;
+        rowActionsWired = true;
+        
         // Wire screenshot buttons
         document.addEventListener('click', e => {
             if (e.target.classList.contains('screenshot-btn')) {
@@ -1205,7 +3232,7 @@
                             <tbody>
                                 ${failures.map(failure => `
                                     <tr>
-                                        <td>${escapeHtml(failure.suiteName)}</td>
+                                        <td>${buildSuiteLink(failure.suiteName)}</td>
                                         <td title="${escapeAttr(failure.testCaseName)}">${escapeHtml(truncateText(failure.testCaseName, 30))}</td>
                                         <td>${escapeHtml(failure.duration)}</td>
                                         <td title="${escapeAttr(failure.failureReason)}">${escapeHtml(truncateText(failure.failureReason, 40))}</td>
@@ -1223,8 +3250,35 @@
         modal.classList.add('show');
     }
 
+    // Failures per suite (most affected first), split by failure category
+    const FAILURE_CHART_MAX_SUITES = 10;
+    function renderFailureCategoryChart(failures) {
+        const host = qs('#failureCategoryChart');
+        if (!host) return;
+        const bySuite = new Map();
+        const categoryTotals = new Map();
+        failures.forEach(f => {
+            if (!bySuite.has(f.suite)) bySuite.set(f.suite, new Map());
+            const counts = bySuite.get(f.suite);
+            counts.set(f.category, (counts.get(f.category) || 0) + 1);
+            categoryTotals.set(f.category, (categoryTotals.get(f.category) || 0) + 1);
+        });
+        const suites = [...bySuite.entries()]
+            .map(([suite, counts]) => ({ suite, counts, total: [...counts.values()].reduce((a, b) => a + b, 0) }))
+            .sort((a, b) => b.total - a.total)
+            .slice(0, FAILURE_CHART_MAX_SUITES);
+        const categories = [...categoryTotals.entries()].sort((a, b) => b[1] - a[1]).map(([category]) => category);
+        host.innerHTML = suites.length ? svgCharts.stacked(
+            suites.map(s => s.suite),
+            categories.map(category => ({ label: category, values: suites.map(s => s.counts.get(category) || 0) })),
+            { title: bySuite.size > FAILURE_CHART_MAX_SUITES ? `Failure Categories (top ${FAILURE_CHART_MAX_SUITES} of ${bySuite.size} suites)` : 'Failure Categories by Suite' }
+        ) : '';
+    }
+
     function renderEmptyFailureAnalysis() {
-        const sections = ['#failureStatsGrid', '#commonFailuresBody', '#testCaseFailuresBody', '#seleniumIssuesBody', '#timeoutIssuesBody'];
+        const chart = qs('#failureCategoryChart');
+        if (chart) chart.innerHTML = '';
+        const sections = ['#failureStatsGrid', '#commonFailuresBody', '#testCaseFailuresBody', '#seleniumIssuesBody', '#timeoutIssuesBody', '#ownerSummaryBody'];
         sections.forEach(selector => {
             const element = qs(selector);
             if (element) {
@@ -1240,6 +3294,8 @@
 
     // Helper functions for generating business-focused content
     function getBusinessSymptom(category, patternKey) {
+        const customRule = getCustomFailureRule(category);
+        if (customRule?.businessSymptom) return customRule.businessSymptom;
         switch (category) {
             case 'ElementNotFound': return 'Cannot locate UI element';
             case 'Timeout': return 'Operation taking too long';
@@ -1251,6 +3307,8 @@
     }
 
     function getRootCauseSignal(category, patternKey) {
+        const customRule = getCustomFailureRule(category);
+        if (customRule?.rootCauseSignal) return customRule.rootCauseSignal;
         switch (category) {
             case 'ElementNotFound': return 'Brittle locator or UI changes';
             case 'Timeout': return patternKey.includes('WaitPrintFile') ? 'Server processing delay' : 'Fixed wait insufficient';
@@ -1262,6 +3320,8 @@
     }
 
     function getNextAction(category) {
+        const customRule = getCustomFailureRule(category);
+        if (customRule?.nextAction) return customRule.nextAction;
         switch (category) {
             case 'ElementNotFound': return 'Stabilize selector, add explicit wait, review retries';
             case 'Timeout': return 'Replace fixed sleeps with condition waits, tune timeouts';
@@ -1289,18 +3349,17 @@
         }
     }
 
-    function getOwner(suites) {
-        // Simple owner mapping - could be made configurable
-        const OWNERS = {
-            'StopModification': 'Team-VW',
-            'GetDocument': 'Team-CP-ACH',
-            'default': 'Unassigned'
-        };
-        
-        for (const [suite, owner] of Object.entries(OWNERS)) {
-            if (suites.includes(suite)) return owner;
-        }
-        return OWNERS.default;
+    function getOwner(test) {
+        if (!test) return UNASSIGNED_OWNER;
+        if (test.owner) return test.owner;
+        const suite = test.suiteName || '';
+        const tags = (test.caseTags || '').split(',').map(t => t.trim()).filter(Boolean);
+        let owners = null;
+        ownershipRules.forEach(rule => {
+            const hit = rule.kind === 'tag' ? tags.some(t => rule.regex.test(t)) : rule.regex.test(suite);
+            if (hit) owners = rule.owners;
+        });
+        return owners ? owners.join(', ') : UNASSIGNED_OWNER;
     }
 
     function getMostFrequent(array) {
@@ -1362,9 +3421,63 @@
         return str.substring(0, maxLength - 3) + '...';
     }
 
-    function buildScreenshotLink(fileName, testData) {
-        if (!fileName) return '';
-        return `<button class="view-details-btn" onclick="showScreenshotModal('images/${escapeAttr(fileName)}', ${escapeAttr(JSON.stringify(testData))})" type="button">View</button>`;
+    /* Embedded Screenshots */
+    // Self-contained reports carry screenshots as data URIs; each becomes a blob URL on first use
+    let embeddedScreenshots = null; // file name -> data URI or blob URL
+
+    function hydrateEmbeddedScreenshots() {
+        const script = qs('#embeddedScreenshots');
+        if (!script) return;
+        try {
+            embeddedScreenshots = new Map(Object.entries(JSON.parse(script.textContent || '{}')));
+            script.textContent = ''; // the map holds the data now
+        } catch (e) {
+            console.warn('Invalid embedded screenshots block:', e.message);
+        }
+    }
+
+    function dataUriToBlobUrl(dataUri) {
+        const [header, base64] = dataUri.split(',', 2);
+        const mime = header.match(/^data:([^;,]+)/)?.[1] || 'application/octet-stream';
+        const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+        return URL.createObjectURL(new Blob([bytes], { type: mime }));
+    }
+
+    /** URL for a screenshot file name (with or without the images/ prefix): embedded copy first, then the images folder */
+    function screenshotUrl(fileName) {
+        const name = String(fileName || '').replace(/^images\//, '');
+        let url = embeddedScreenshots?.get(name);
+        if (!url) return `images/${name}`;
+        if (url.startsWith('data:')) {
+            try {
+                url = dataUriToBlobUrl(url);
+                embeddedScreenshots.set(name, url);
+            } catch (e) {
+                console.warn('Could not decode embedded screenshot', name, e);
+            }
+        }
+        return url;
+    }
+
+    // The test is looked up by index on click, so rows don't inline its steps and other nested data
+    function buildScreenshotLink(test) {
+        if (!test?.screenshotFileName) return '';
+        return `<button class="view-details-btn" data-screenshot-index="${getTestIndex(test)}" type="button">View</button>`;
+    }
+
+    // Index in reportData.testResults; Slow Tests rows are separate copies, matched back by suite and name
+    function getTestIndex(test) {
+        const tests = reportData?.testResults || [];
+        const index = tests.indexOf(test);
+        return index !== -1 ? index : tests.findIndex(t => t.suiteName === test.suiteName && t.testCaseName === test.testCaseName);
+    }
+
+    function setupScreenshotButtons() {
+        document.addEventListener('click', e => {
+            const btn = e.target.closest('[data-screenshot-index]');
+            const test = btn && reportData?.testResults?.[Number(btn.dataset.screenshotIndex)];
+            if (test?.screenshotFileName) showScreenshotModal(`images/${test.screenshotFileName}`, test);
+        });
     }
 
     function showScreenshotModal(fileName, testData) {
@@ -1405,12 +3518,712 @@
             modalImage.style.display = 'none';
         };
         
-        // Ensure fileName includes proper path
-        const imagePath = fileName.startsWith('images/') ? fileName : `images/${fileName}`;
-        modalImage.src = imagePath;
+        const imagePath = screenshotUrl(fileName);
+        if (renderScreenshotComparison(imagePath, testData)) {
+            modalImage.removeAttribute('src');
+            modalImage.style.display = 'none';
+        } else {
+            modalImage.src = imagePath;
+        }
+        modal.classList.add('show');
+    }
+
+    /* Screenshot Comparison */
+    const COMPARE_MODES = { current: 'Current', side: 'Side by side', slider: 'Slider', diff: 'Difference' };
+    const PIXEL_DIFF_TOLERANCE = 32; // per-channel delta treated as unchanged (compression noise, anti-aliasing)
+
+    // Baseline-run screenshot of the same test, via the run comparison's test matching
+    function findBaselineScreenshot(testData) {
+        if (!baselineRun) return null;
+        const test = (reportData?.testResults || []).find(t =>
+            t.screenshotFileName === testData.screenshotFileName && testNameKey(t) === testNameKey(testData));
+        const baseline = test ? diffByTest.get(test)?.baseline : null;
+        if (!baseline?.screenshotFileName) return null;
+        // Self-contained reports have no images folder to fall back to
+        return !embeddedScreenshots || embeddedScreenshots.has(baseline.screenshotFileName) ? baseline : null;
+    }
+
+    // Returns true when the modal shows a comparison instead of the single image
+    function renderScreenshotComparison(imagePath, testData) {
+        const box = qs('#modalCompare');
+        if (!box) return false;
+        const baseline = findBaselineScreenshot(testData);
+        compareState = baseline ? { current: imagePath, baseline: screenshotUrl(baseline.screenshotFileName), mode: 'side', diff: null } : null;
+        box.hidden = !baselineRun;
+        if (!baselineRun) {
+            box.innerHTML = '';
+            return false;
+        }
+        if (!compareState) {
+            box.innerHTML = `<p class="compare-note">No screenshot for this test in baseline run ${escapeHtml(baselineRun.label)}.</p>`;
+            return false;
+        }
+        box.innerHTML = `<div class="compare-toolbar">
+                <div class="compare-modes" role="group" aria-label="Comparison view">
+                    ${Object.entries(COMPARE_MODES).map(([mode, label]) => `<button type="button" class="view-details-btn" data-compare-mode="${mode}">${escapeHtml(label)}</button>`).join('')}
+                </div>
+                <span class="compare-stats" id="compareStats">Comparing with ${escapeHtml(baselineRun.label)}…</span>
+            </div>
+            <div class="compare-stage" id="compareStage"></div>`;
+        renderCompareStage();
+        computeScreenshotDiff(compareState);
+        return true;
+    }
+
+    function renderCompareStage() {
+        const stage = qs('#compareStage');
+        if (!stage || !compareState) return;
+        const { current, baseline, mode, diff } = compareState;
+        qsa('#modalCompare [data-compare-mode]').forEach(btn => btn.setAttribute('aria-pressed', String(btn.dataset.compareMode === mode)));
+        if (mode === 'current') {
+            stage.innerHTML = `<img src="${escapeAttr(current)}" alt="Current screenshot" />`;
+        } else if (mode === 'side') {
+            stage.innerHTML = `<div class="compare-side">
+                <figure><figcaption>Baseline · ${escapeHtml(baselineRun?.label || '')}</figcaption><img src="${escapeAttr(baseline)}" alt="Baseline screenshot" /></figure>
+                <figure><figcaption>Current</figcaption><img src="${escapeAttr(current)}" alt="Current screenshot" /></figure>
+            </div>`;
+        } else if (mode === 'slider') {
+            stage.innerHTML = `<div class="compare-slider" style="--split:50%">
+                <img src="${escapeAttr(baseline)}" alt="Baseline screenshot" />
+                <img class="compare-slider-top" src="${escapeAttr(current)}" alt="Current screenshot" />
+                <input type="range" min="0" max="100" value="50" aria-label="Current screenshot shown from the left" />
+            </div>
+            <div class="compare-legend"><span>◀ Current</span><span>Baseline ▶</span></div>`;
+        } else if (!diff) {
+            stage.innerHTML = '<p class="compare-note">Computing pixel difference…</p>';
+        } else if (diff.error) {
+            stage.innerHTML = `<p class="compare-note">${escapeHtml(diff.error)}</p>`;
+        } else {
+            stage.innerHTML = '<canvas class="compare-heatmap" aria-label="Pixel difference heatmap"></canvas><div class="compare-legend"><span>Red: changed pixels</span></div>';
+            const canvas = stage.querySelector('canvas');
+            canvas.width = diff.heatmap.width;
+            canvas.height = diff.heatmap.height;
+            canvas.getContext('2d').putImageData(diff.heatmap, 0, 0);
+        }
+    }
+
+    function loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error(`Could not load ${src}`));
+            img.src = src;
+        });
+    }
+
+    async function computeScreenshotDiff(state) {
+        let diff;
+        try {
+            const [current, baseline] = await Promise.all([loadImage(state.current), loadImage(state.baseline)]);
+            diff = diffImages(current, baseline);
+        } catch (e) {
+            // file:// pages cannot read pixels in some browsers (tainted canvas)
+            diff = { error: e.name === 'SecurityError'
+                ? 'Pixel difference unavailable: the browser blocks reading local images. Open the report over http(s) to compare pixels.'
+                : `Pixel difference unavailable: ${e.message}` };
+        }
+        if (compareState !== state) return; // modal moved on to another screenshot
+        state.diff = diff;
+        const stats = qs('#compareStats');
+        if (stats) {
+            stats.textContent = diff.error
+                ? 'Pixel difference unavailable'
+                : `${diff.percent.toFixed(2)}% of pixels changed` + (diff.sizeChanged ? ' · image size changed' : '');
+            stats.title = diff.error || `Compared at ${diff.heatmap.width}×${diff.heatmap.height}; per-channel changes up to ${PIXEL_DIFF_TOLERANCE} are ignored`;
+        }
+        if (state.mode === 'diff') renderCompareStage();
+    }
+
+    // Heatmap of changed pixels over a faded copy of the current image; areas outside the smaller image count as changed
+    function diffImages(current, baseline) {
+        const width = Math.max(current.naturalWidth, baseline.naturalWidth);
+        const height = Math.max(current.naturalHeight, baseline.naturalHeight);
+        if (!width || !height) throw new Error('empty image');
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) throw new Error('canvas is not supported in this browser');
+        const readPixels = img => {
+            ctx.clearRect(0, 0, width, height);
+            ctx.drawImage(img, 0, 0);
+            return ctx.getImageData(0, 0, width, height).data;
+        };
+        const a = readPixels(current);
+        const b = readPixels(baseline);
+        const heatmap = ctx.createImageData(width, height);
+        const out = heatmap.data;
+        let changed = 0;
+        for (let i = 0; i < a.length; i += 4) {
+            const delta = Math.max(Math.abs(a[i] - b[i]), Math.abs(a[i + 1] - b[i + 1]), Math.abs(a[i + 2] - b[i + 2]), Math.abs(a[i + 3] - b[i + 3]));
+            if (delta > PIXEL_DIFF_TOLERANCE) {
+                changed++;
+                out[i] = 255;
+                out[i + 1] = Math.max(0, 160 - delta);
+                out[i + 2] = 0;
+                out[i + 3] = 255;
+            } else {
+                const grey = a[i] * 0.299 + a[i + 1] * 0.587 + a[i + 2] * 0.114;
+                out[i] = out[i + 1] = out[i + 2] = grey;
+                out[i + 3] = 70;
+            }
+        }
+        return {
+            heatmap,
+            percent: changed / (width * height) * 100,
+            sizeChanged: current.naturalWidth !== baseline.naturalWidth || current.naturalHeight !== baseline.naturalHeight
+        };
+    }
+
+    function setupScreenshotCompare() {
+        const box = qs('#modalCompare');
+        box?.addEventListener('click', e => {
+            const btn = e.target.closest('[data-compare-mode]');
+            if (!btn || !compareState) return;
+            compareState.mode = btn.dataset.compareMode;
+            renderCompareStage();
+        });
+        box?.addEventListener('input', e => {
+            const slider = e.target.closest('.compare-slider input[type=range]');
+            if (slider) slider.parentElement.style.setProperty('--split', slider.value + '%');
+        });
+    }
+
+    /* Step Timeline */
+    // Places every step on the test's clock. Steps recorded without timestamps follow their
+    // previous sibling, and the first child of a step starts where its parent starts.
+    function layoutTimeline(steps, depth = 0, parentStart = 0, rows = []) {
+        let cursor = parentStart;
+        (steps || []).forEach(step => {
+            const start = step.startOffsetMs ?? cursor;
+            const row = { step, depth, start, end: start + (step.durationMs || 0) };
+            rows.push(row);
+            layoutTimeline(step.steps, depth + 1, start, rows);
+            cursor = row.end;
+        });
+        return rows;
+    }
+
+    // Five elapsed-time labels from 0 to total, positioned as percentages of the track
+    function buildTimeAxisTicks(total) {
+        return [0, 0.25, 0.5, 0.75, 1].map(f =>
+            `<span class="timeline-tick" style="left:${(f * 100).toFixed(1)}%">${escapeHtml(formatDuration(Math.round(total * f)))}</span>`).join('');
+    }
+
+    function getPerformanceThreshold(test) {
+        const thresholds = reportData?.config?.performanceThresholds || {};
+        return { Critical: thresholds.criticalMs, High: thresholds.highMs, Medium: thresholds.mediumMs }[test.performanceCategory] || 0;
+    }
+
+    function buildTimelineButton(test) {
+        if (!test?.steps?.length) return '';
+        const index = (reportData?.testResults || []).indexOf(test);
+        return `<button type="button" class="view-details-btn timeline-btn" data-timeline-index="${index}" title="Step timeline"><i class="fa-solid fa-bars-staggered"></i> Timeline</button>`;
+    }
+
+    function openStepTimeline(test) {
+        const modal = qs('#timelineModal');
+        const chart = qs('#timelineChart');
+        if (!modal || !chart || !test?.steps?.length) return;
+        const rows = layoutTimeline(test.steps);
+        const total = Math.max(test.durationMs || 0, ...rows.map(r => r.end), 1);
+        const threshold = getPerformanceThreshold(test);
+        // The deepest step still running when elapsed time passed the threshold the test was graded against
+        const crossing = threshold && threshold <= total
+            ? rows.filter(r => r.start <= threshold && r.end >= threshold).pop()
+            : null;
+        const pct = ms => `${(Math.min(Math.max(ms, 0), total) / total * 100).toFixed(3)}%`;
+        
+        qs('#timelineTitle').innerHTML = `<i class="fa-solid fa-bars-staggered"></i> ${escapeHtml(test.testCaseName || 'Step Timeline')}`;
+        qs('#timelineSummary').innerHTML = [
+            escapeHtml(test.suiteName || ''),
+            `<span class="status-badge status-${escapeAttr((test.status || '').toLowerCase())}">${escapeHtml(test.status || '')}</span>`,
+            escapeHtml(formatDuration(test.durationMs)),
+            `${rows.length} step${rows.length === 1 ? '' : 's'}`,
+            threshold ? `<span class="perf-badge perf-${escapeAttr((test.performanceCategory || '').toLowerCase())}">${escapeHtml(test.performanceCategory)}</span> from ${escapeHtml(formatDuration(threshold))}` : ''
+        ].filter(Boolean).join(' · ');
+        
+        const thresholdLine = crossing ? `<span class="waterfall-threshold" style="left:${pct(threshold)}"></span>` : '';
+        chart.innerHTML = `<div class="waterfall-row waterfall-axis"><span class="waterfall-label">Step</span><div class="waterfall-track">${buildTimeAxisTicks(total)}</div><span class="waterfall-duration">Duration</span></div>` +
+            rows.map(row => {
+                const { step } = row;
+                const status = (step.status || '').toLowerCase();
+                const failed = status === 'failed' || status === 'broken';
+                const name = step.name || step.kind || 'Step';
+                const tooltip = `${name}\nStart: +${formatDuration(row.start)}\nDuration: ${formatDuration(step.durationMs)}\nStatus: ${step.status || 'unknown'}` +
+                    (row === crossing ? `\nCrossed the ${test.performanceCategory} threshold (${formatDuration(threshold)})` : '');
+                return `<div class="waterfall-row${failed ? ' failed' : ''}${row === crossing ? ' crossing' : ''}${row.depth ? '' : ` kind-${escapeAttr((step.kind || '').toLowerCase().replace(/\s+/g, '-'))}`}">
+                    <span class="waterfall-label" style="padding-left:${row.depth * 1.1 + 0.4}rem" title="${escapeAttr(name)}">${row === crossing ? '<i class="fa-solid fa-stopwatch" title="Crossed the performance threshold"></i> ' : ''}${escapeHtml(name)}</span>
+                    <div class="waterfall-track">${thresholdLine}<span class="waterfall-bar status-${escapeAttr(status)}" style="left:${pct(row.start)};width:${pct(step.durationMs || 0)}" title="${escapeAttr(tooltip)}"></span></div>
+                    <span class="waterfall-duration">${escapeHtml(formatDuration(step.durationMs))}</span>
+                </div>`;
+            }).join('');
         modal.classList.add('show');
     }
 
+    function closeStepTimeline() {
+        qs('#timelineModal')?.classList.remove('show');
+    }
+
+    function setupStepTimeline() {
+        document.addEventListener('click', e => {
+            const btn = e.target.closest('.timeline-btn');
+            if (!btn) return;
+            openStepTimeline(reportData?.testResults?.[Number(btn.dataset.timelineIndex)]);
+        });
+        qs('#timelineClose')?.addEventListener('click', closeStepTimeline);
+        qs('#timelineModal')?.addEventListener('click', e => { if (e.target.id === 'timelineModal') closeStepTimeline(); });
+    }
+
+    /* Execution Timeline */
+    // Idle stretches shorter than this share of the run are left undrawn to keep lanes readable
+    const GANTT_MIN_GAP_SHARE = 0.005;
+    let executionTimelineRendered = false;
+
+    // Groups tests by their host/thread labels. Tests that still overlap inside a group (coarse or
+    // missing labels) are packed greedily into extra lanes so every lane runs one test at a time.
+    function buildExecutionLanes(tests) {
+        const groups = new Map();
+        [...tests].sort((a, b) => a.execution.startMs - b.execution.startMs).forEach(test => {
+            const { host, thread } = test.execution;
+            const key = thread ? (host && !thread.includes(host) ? `${host} / ${thread}` : thread) : host;
+            if (!groups.has(key)) groups.set(key, []);
+            const lanes = groups.get(key);
+            let lane = lanes.find(l => l.stopMs <= test.execution.startMs);
+            if (!lane) lanes.push(lane = { tests: [], stopMs: 0 });
+            lane.tests.push(test);
+            lane.stopMs = test.execution.stopMs;
+        });
+        const labelled = [...groups.keys()].some(Boolean);
+        return [...groups.entries()].sort((a, b) => a[0].localeCompare(b[0], undefined, { numeric: true }))
+            .flatMap(([key, lanes]) => lanes.map((lane, i) => ({
+                ...lane,
+                name: (key || 'Lane') + (lanes.length > 1 || !key ? ` #${i + 1}` : ''),
+                inferred: !labelled || lanes.length > 1,
+                busyMs: lane.tests.reduce((sum, t) => sum + (t.execution.stopMs - t.execution.startMs), 0)
+            })));
+    }
+
+    function renderExecutionTimeline() {
+        const container = qs('#executionGantt');
+        const stats = qs('#executionStats');
+        if (!container || executionTimelineRendered) return;
+        executionTimelineRendered = true;
+        const all = reportData?.testResults || [];
+        const tests = all.filter(t => t.execution?.startMs > 0);
+        const info = qs('#ganttInfo');
+        if (!tests.length) {
+            if (stats) stats.innerHTML = '';
+            if (info) info.textContent = '';
+            container.innerHTML = '<div class="empty-state"><p>This run has no start/stop timestamps to lay out.</p></div>';
+            return;
+        }
+        
+        const runStart = tests.reduce((min, t) => Math.min(min, t.execution.startMs), Infinity);
+        const runStop = tests.reduce((max, t) => Math.max(max, t.execution.stopMs), 0);
+        const wall = Math.max(runStop - runStart, 1);
+        const lanes = buildExecutionLanes(tests);
+        const busy = lanes.reduce((sum, lane) => sum + lane.busyMs, 0);
+        // The lane that finished last: the run could not end before its tests did (lanes carry no dependency data)
+        const lastLane = lanes.reduce((last, lane) => lane.stopMs > last.stopMs ? lane : last, lanes[0]);
+        const tailIdle = lanes.length > 1
+            ? lanes.filter(l => l !== lastLane).reduce((sum, l) => sum + (runStop - l.stopMs), 0) / (lanes.length - 1)
+            : 0;
+        const pct = ms => `${(ms / wall * 100).toFixed(3)}%`;
+        
+        if (stats) stats.innerHTML = [
+            { label: 'Wall Clock', value: formatDuration(wall), desc: `From the first test start (${new Date(runStart).toLocaleString()}) to the last test stop.` },
+            { label: 'Test Time', value: formatDuration(busy), desc: 'Sum of all test durations including setup and cleanup fixtures.' },
+            { label: 'Parallelism', value: `${(busy / wall).toFixed(2)}×`, className: busy / wall >= lanes.length * 0.8 ? 'success' : 'warning', desc: `Test time ÷ wall clock. ${lanes.length} lane${lanes.length === 1 ? '' : 's'} could reach ${lanes.length}×.` },
+            { label: 'Utilization', value: `${(busy / (wall * lanes.length) * 100).toFixed(1)}%`, desc: 'Share of lane time spent running tests; the rest is idle.' },
+            { label: 'Idle Time', value: formatDuration(wall * lanes.length - busy), className: 'warning', desc: 'Lane time not spent running tests, summed over all lanes.' },
+            { label: 'Tail Idle', value: formatDuration(Math.round(tailIdle)), desc: 'Average time the other lanes sat idle waiting for the last-finishing lane.' }
+        ].map(c => `<div class="metric-card ${c.className || ''}" tabindex="0" data-help="${escapeAttr(c.desc)}"><div class="metric-label">${escapeHtml(c.label)}</div><div class="metric-value">${escapeHtml(c.value)}</div></div>`).join('');
+        if (info) info.textContent = `${tests.length} of ${all.length} tests on ${lanes.length} lane${lanes.length === 1 ? '' : 's'}` +
+            (lanes.some(l => l.inferred) ? ' (some lanes inferred from overlapping times)' : '') +
+            ` · last-finishing lane: ${lastLane.name}, ${lastLane.tests.length} tests`;
+        
+        const minGap = wall * GANTT_MIN_GAP_SHARE;
+        const gap = (from, to) => to - from >= minGap
+            ? `<span class="gantt-gap" style="left:${pct(from - runStart)};width:${pct(to - from)}" title="Idle ${escapeAttr(formatDuration(to - from))}"></span>` : '';
+        container.innerHTML = `<div class="gantt-lane gantt-axis"><span class="gantt-label">Lane</span><div class="gantt-track">${buildTimeAxisTicks(wall)}</div></div>` +
+            lanes.map(lane => {
+                let cursor = runStart;
+                const bars = lane.tests.map(test => {
+                    const { startMs, stopMs } = test.execution;
+                    const idle = gap(cursor, startMs);
+                    cursor = stopMs;
+                    const status = (test.status || '').toLowerCase();
+                    const tooltip = `${test.testCaseName}\n${test.suiteName || ''}\nStart: +${formatDuration(startMs - runStart)}\nDuration: ${formatDuration(stopMs - startMs)}\nStatus: ${test.status || ''}`;
+                    return `${idle}<button type="button" class="gantt-bar status-${escapeAttr(status)}${lane === lastLane ? ' last-lane' : ''}" data-test-index="${all.indexOf(test)}" style="left:${pct(startMs - runStart)};width:${pct(stopMs - startMs)}" title="${escapeAttr(tooltip)}" aria-label="${escapeAttr(test.testCaseName)}"></button>`;
+                }).join('') + gap(cursor, runStop);
+                const utilization = (lane.busyMs / wall * 100).toFixed(0);
+                return `<div class="gantt-lane${lane === lastLane ? ' last-lane' : ''}">
+                    <span class="gantt-label" title="${escapeAttr(`${lane.name}\n${lane.tests.length} tests · busy ${formatDuration(lane.busyMs)} (${utilization}%)`)}">${lane === lastLane ? '<i class="fa-solid fa-flag-checkered" title="Last-finishing lane"></i> ' : ''}${escapeHtml(lane.name)} <small>${utilization}%</small></span>
+                    <div class="gantt-track">${bars}</div>
+                </div>`;
+            }).join('');
+    }
+
+    // Shows one test in Test Results: filtered down by name and suite, with its detail row expanded
+    function openTestDetails(test) {
+        if (!test) return;
+        // Quoted phrases cannot hold quotes, so such names fall back to an anchored regex
+        const term = value => String(value || '').includes('"') ? `/^${escapeQueryRegex(value)}$/` : `"${value || ''}"`;
+        const search = qs('#searchInput');
+        if (search) search.value = `name:${term(test.testCaseName)}` + (test.suiteName ? ` suite:${term(test.suiteName)}` : '');
+        ['#statusFilter', '#suiteFilter', '#diffFilter'].forEach(sel => { const el = qs(sel); if (el) el.value = ''; });
+        diffFilter = '';
+        facetSelection.clear();
+        expandedTests.add(test);
+        showSection('test-results');
+        applyFilters();
+    }
+
+    function setupExecutionTimeline() {
+        qs('#executionGantt')?.addEventListener('click', e => {
+            const bar = e.target.closest('.gantt-bar');
+            if (bar) openTestDetails(reportData?.testResults?.[Number(bar.dataset.testIndex)]);
+        });
+    }
+
+    /* Suite Detail */
+    const SUITE_DETAIL_TOP = 10;
+    const SUITE_HISTOGRAM_MAX_BUCKETS = 12;
+
+    function getSuiteIndex() {
+        if (suiteIndex) return suiteIndex;
+        suiteIndex = new Map();
+        (reportData?.testResults || []).forEach(test => {
+            if (!test.suiteName) return;
+            if (!suiteIndex.has(test.suiteName)) suiteIndex.set(test.suiteName, []);
+            suiteIndex.get(test.suiteName).push(test);
+        });
+        return suiteIndex;
+    }
+
+    // Suite names anywhere in the report open the suite in the Suites section
+    function buildSuiteLink(name) {
+        if (!name) return '';
+        return `<a href="#suites" class="suite-link" data-suite="${escapeAttr(name)}" title="Open suite details">${escapeHtml(name)}</a>`;
+    }
+
+    function openSuiteDetail(name) {
+        if (!getSuiteIndex().has(name)) return;
+        selectedSuite = name;
+        showSection('suites');
+    }
+
+    function summarizeSuite(tests) {
+        const count = status => tests.filter(t => t.status === status).length;
+        const passed = count('Passed');
+        return {
+            total: tests.length, passed, failed: count('Failed'), broken: count('Broken'),
+            passRate: tests.length ? passed / tests.length * 100 : 0,
+            durationMs: tests.reduce((sum, t) => sum + (t.durationMs || 0), 0)
+        };
+    }
+
+    // Lowest pass rate first when nothing is selected yet: that is the suite worth a look
+    function getDefaultSuite() {
+        let worst = null;
+        getSuiteIndex().forEach((tests, name) => {
+            const rate = summarizeSuite(tests).passRate;
+            if (!worst || rate < worst.rate || (rate === worst.rate && name.localeCompare(worst.name) < 0)) worst = { name, rate };
+        });
+        return worst?.name || '';
+    }
+
+    function renderSuitesSection() {
+        if (!getSuiteIndex().has(selectedSuite)) selectedSuite = getDefaultSuite();
+        renderSuiteList();
+        renderSuiteDetail();
+    }
+
+    function renderSuiteList() {
+        const list = qs('#suiteList');
+        if (!list) return;
+        const term = (qs('#suiteSearch')?.value || '').trim().toLowerCase();
+        const index = getSuiteIndex();
+        const names = [...index.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        const matches = names.filter(name => !term || name.toLowerCase().includes(term));
+        const info = qs('#suiteListInfo');
+        if (info) info.textContent = term ? `${matches.length} of ${names.length} suites` : `${names.length} suites`;
+        list.innerHTML = matches.length ? matches.map(name => {
+            const summary = summarizeSuite(index.get(name));
+            const cls = summary.passRate >= 80 ? 'passed' : summary.passRate >= 60 ? 'broken' : 'failed';
+            return `<li><button type="button" class="suite-list-item${name === selectedSuite ? ' active' : ''}" data-suite="${escapeAttr(name)}" title="${escapeAttr(name)}">
+                <span class="suite-list-name">${escapeHtml(name)}</span>
+                <span class="suite-list-meta">${summary.total} · <span class="status-badge status-${cls}">${summary.passRate.toFixed(0)}%</span></span>
+            </button></li>`;
+        }).join('') : '<li class="suite-list-empty">No suites match</li>';
+    }
+
+    // Equal-width buckets from zero to the slowest test; about √n of them, capped for readability
+    function buildDurationHistogram(tests) {
+        const durations = tests.map(t => t.durationMs || 0);
+        const max = Math.max(0, ...durations);
+        if (!max) return [];
+        const count = Math.min(SUITE_HISTOGRAM_MAX_BUCKETS, Math.max(1, Math.ceil(Math.sqrt(durations.length))));
+        const width = max / count;
+        const buckets = Array.from({ length: count }, (_, i) => ({ from: i * width, to: (i + 1) * width, value: 0 }));
+        durations.forEach(ms => { buckets[Math.min(count - 1, Math.floor(ms / width))].value++; });
+        const short = ms => ms >= 60000 ? `${(ms / 60000).toFixed(1)}m` : `${(ms / 1000).toFixed(ms < 10000 ? 1 : 0)}s`;
+        return buckets.map(b => ({
+            label: short(b.from),
+            value: b.value,
+            tip: `${formatDuration(Math.round(b.from))} – ${formatDuration(Math.round(b.to))}: ${b.value} test${b.value === 1 ? '' : 's'}`
+        }));
+    }
+
+    // Every step of the suite's tests grouped by name; reports without step timelines have none
+    function aggregateSuiteSteps(tests) {
+        const byName = new Map();
+        tests.forEach(test => layoutTimeline(test.steps).forEach(({ step }) => {
+            if (!step.name) return;
+            const entry = byName.get(step.name) || { name: step.name, runs: 0, totalMs: 0, maxMs: 0, failures: 0 };
+            entry.runs++;
+            entry.totalMs += step.durationMs || 0;
+            entry.maxMs = Math.max(entry.maxMs, step.durationMs || 0);
+            if (/^(failed|broken)$/i.test(step.status || '')) entry.failures++;
+            byName.set(step.name, entry);
+        }));
+        return [...byName.values()]
+            .map(entry => ({ ...entry, avgMs: entry.totalMs / entry.runs }))
+            .sort((a, b) => b.avgMs - a.avgMs);
+    }
+
+    function renderSuiteDetail() {
+        const container = qs('#suiteDetail');
+        if (!container) return;
+        const tests = getSuiteIndex().get(selectedSuite);
+        if (!tests) {
+            container.innerHTML = '<div class="empty-state"><p>This run has no suites to show.</p></div>';
+            return;
+        }
+        const all = reportData?.testResults || [];
+        const summary = summarizeSuite(tests);
+        const failing = tests.filter(t => t.status === 'Failed' || t.status === 'Broken');
+        const clusters = Object.entries(clusterFailures(normalizeFailures(failing)))
+            .map(([key, cluster]) => ({ key, ...cluster }))
+            .sort((a, b) => b.count - a.count);
+        const slowest = [...tests].sort((a, b) => (b.durationMs || 0) - (a.durationMs || 0)).slice(0, SUITE_DETAIL_TOP);
+        const steps = aggregateSuiteSteps(tests).slice(0, SUITE_DETAIL_TOP);
+        const owners = [...new Set(tests.map(getOwner).filter(Boolean))];
+        const histogram = buildDurationHistogram(tests);
+        
+        const clusterRows = clusters.length ? clusters.map(cluster => {
+            const representative = getRepresentativeVariant(cluster);
+            return `<tr>
+                <td title="${escapeAttr(cluster.mergedKeys.join('\n'))}">${escapeHtml(truncateText(cluster.key, 60))}<div class="cluster-representative" title="${escapeAttr(representative.example)}">${escapeHtml(truncateText(representative.example, 120))}</div></td>
+                <td><span class="status-badge status-${escapeAttr(cluster.category.toLowerCase())}">${escapeHtml(cluster.category)}</span></td>
+                <td><span class="failure-count">${cluster.count}</span></td>
+                <td title="${escapeAttr(Array.from(cluster.tests).join(', '))}">${escapeHtml(truncateText(Array.from(cluster.tests).join(', '), 80))}</td>
+            </tr>`;
+        }).join('') : '<tr><td colspan="4" class="empty-message">No failures in this suite.</td></tr>';
+        const slowRows = slowest.map((test, i) => `<tr>
+                <td>${i + 1}</td>
+                <td title="${escapeAttr(test.testCaseName)}"><a href="#test-results" class="suite-test-link" data-test-index="${all.indexOf(test)}">${escapeHtml(truncate(test.testCaseName || '', 60))}</a></td>
+                <td><span class="status-badge status-${escapeAttr((test.status || '').toLowerCase())}">${escapeHtml(test.status || '')}</span></td>
+                <td>${escapeHtml(test.duration || formatDuration(test.durationMs))}</td>
+                <td><span class="perf-badge perf-${escapeAttr((test.performanceCategory || '').toLowerCase())}">${escapeHtml(test.performanceCategory || '')}</span></td>
+                <td>${buildTimelineButton(test)}</td>
+            </tr>`).join('');
+        const stepRows = steps.length ? steps.map((step, i) => `<tr>
+                <td>${i + 1}</td>
+                <td title="${escapeAttr(step.name)}">${escapeHtml(truncate(step.name, 70))}</td>
+                <td>${step.runs}</td>
+                <td>${escapeHtml(formatDuration(Math.round(step.avgMs)))}</td>
+                <td>${escapeHtml(formatDuration(step.maxMs))}</td>
+                <td>${step.failures ? `<span class="failure-count">${step.failures}</span>` : 0}</td>
+            </tr>`).join('') : '<tr><td colspan="6" class="empty-message">This report has no step data for the suite.</td></tr>';
+        
+        container.innerHTML = `
+            <div class="suite-detail-header">
+                <h3 title="${escapeAttr(selectedSuite)}">${escapeHtml(selectedSuite)}</h3>
+                <button type="button" class="view-details-btn" id="suiteShowTests">Show in Test Results</button>
+            </div>
+            <div class="suite-detail-summary">${[
+                `${summary.total} test${summary.total === 1 ? '' : 's'}`,
+                `${summary.passRate.toFixed(1)}% passed`,
+                `total ${formatDuration(summary.durationMs)}`,
+                `avg ${formatDuration(Math.round(summary.durationMs / (summary.total || 1)))}`,
+                owners.length ? `owner: ${owners.join(', ')}` : ''
+            ].filter(Boolean).map(escapeHtml).join(' · ')}</div>
+            <div class="suite-detail-charts">
+                <div class="chart-panel"><div class="svg-chart">${svgCharts.doughnut([
+                    { label: 'Passed', value: summary.passed, color: 'var(--success)' },
+                    { label: 'Failed', value: summary.failed, color: 'var(--error)' },
+                    { label: 'Broken', value: summary.broken, color: 'var(--warning)' }
+                ], { title: 'Status', center: `${summary.passRate.toFixed(1)}%`, centerLabel: 'pass rate' })}</div></div>
+                <div class="chart-panel"><div class="svg-chart">${histogram.length ? svgCharts.columns(histogram, { title: 'Duration Distribution (tests per bucket)' }) : ''}</div></div>
+            </div>
+            <h4><i class="fa-solid fa-layer-group"></i> Failure Clusters</h4>
+            <div class="table-container"><table class="suite-clusters-table"><thead><tr><th>Pattern</th><th>Category</th><th>Count</th><th>Test Cases</th></tr></thead><tbody>${clusterRows}</tbody></table></div>
+            <h4><i class="fa-solid fa-hourglass-half"></i> Slowest Tests</h4>
+            <div class="table-container"><table class="suite-slow-tests-table"><thead><tr><th>#</th><th>Test Name</th><th>Status</th><th>Duration</th><th>Performance</th><th>Details</th></tr></thead><tbody>${slowRows}</tbody></table></div>
+            <h4><i class="fa-solid fa-list-ol"></i> Slowest Steps</h4>
+            <div class="table-container"><table class="suite-slow-steps-table"><thead><tr><th>#</th><th>Step</th><th>Runs</th><th>Avg Duration</th><th>Max Duration</th><th>Failed</th></tr></thead><tbody>${stepRows}</tbody></table></div>`;
+    }
+
+    // Test Results filtered to the open suite
+    function showSuiteInTestResults(name) {
+        const search = qs('#searchInput');
+        if (search) search.value = '';
+        ['#statusFilter', '#diffFilter'].forEach(sel => { const el = qs(sel); if (el) el.value = ''; });
+        const suiteSelect = qs('#suiteFilter');
+        if (suiteSelect) suiteSelect.value = name;
+        diffFilter = '';
+        facetSelection.clear();
+        showSection('test-results');
+        applyFilters();
+    }
+
+    function setupSuiteDetail() {
+        document.addEventListener('click', e => {
+            const link = e.target.closest('.suite-link');
+            if (!link) return;
+            e.preventDefault();
+            openSuiteDetail(link.dataset.suite);
+        });
+        qs('#suiteList')?.addEventListener('click', e => {
+            const item = e.target.closest('.suite-list-item');
+            if (item) openSuiteDetail(item.dataset.suite);
+        });
+        qs('#suiteSearch')?.addEventListener('input', debounce(renderSuiteList, 150));
+        qs('#suiteDetail')?.addEventListener('click', e => {
+            if (e.target.closest('#suiteShowTests')) {
+                showSuiteInTestResults(selectedSuite);
+                return;
+            }
+            const link = e.target.closest('.suite-test-link');
+            if (!link) return;
+            e.preventDefault();
+            openTestDetails(reportData?.testResults?.[Number(link.dataset.testIndex)]);
+        });
+    }
+
+    /* Screenshot Gallery */
+    const GALLERY_GROUPS = {
+        suite: t => t.suiteName || 'Unknown Suite',
+        status: t => t.status || 'Unknown',
+        cluster: t => isFailingStatus(t.status) ? getFailureClusterKey(t) : 'No failure'
+    };
+
+    function renderScreenshotGallery() {
+        const container = qs('#screenshotGallery');
+        if (!container) return;
+        const groupKey = GALLERY_GROUPS[qs('#galleryGroup')?.value || ''];
+        const shots = (reportData?.testResults || []).filter(t => t.screenshotFileName);
+        const groups = new Map();
+        shots.forEach(test => {
+            const key = groupKey ? groupKey(test) : '';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(test);
+        });
+        // Largest groups first, so the page everyone failed on leads
+        const ordered = [...groups.entries()].sort((a, b) => b[1].length - a[1].length);
+        galleryItems = ordered.flatMap(([, tests]) => tests);
+        
+        const info = qs('#galleryInfo');
+        if (info) info.textContent = shots.length
+            ? `${shots.length} screenshot${shots.length === 1 ? '' : 's'}` + (groupKey ? ` in ${groups.size} group${groups.size === 1 ? '' : 's'}` : '')
+            : '';
+        if (!shots.length) {
+            container.innerHTML = '<div class="empty-state"><p>No screenshots in this run.</p></div>';
+            return;
+        }
+        let index = 0;
+        container.innerHTML = ordered.map(([key, tests]) => `<div class="gallery-group">
+            ${groupKey ? `<h3 class="gallery-group-title" title="${escapeAttr(key)}">${escapeHtml(truncateText(key, 100))} <span class="failure-count">${tests.length}</span></h3>` : ''}
+            <div class="gallery-grid">${tests.map(test => buildGalleryItem(test, index++)).join('')}</div>
+        </div>`).join('');
+        observeGalleryThumbnails(container);
+    }
+
+    function buildGalleryItem(test, index) {
+        const status = test.status || 'Unknown';
+        return `<button type="button" class="gallery-item" data-gallery-index="${index}" title="${escapeAttr(test.testCaseName)}">
+            <span class="gallery-thumb"><img data-src="${escapeAttr(screenshotUrl(test.screenshotFileName))}" alt="Screenshot for ${escapeAttr(test.testCaseName)}" decoding="async" /></span>
+            <span class="gallery-caption"><span class="status-badge status-${status.toLowerCase()}">${escapeHtml(status)}</span> ${escapeHtml(truncateText(test.testCaseName, 50))}</span>
+        </button>`;
+    }
+
+    // Thumbnails only get a src once they scroll near the viewport
+    function observeGalleryThumbnails(container) {
+        galleryObserver?.disconnect();
+        const images = container.querySelectorAll('img[data-src]');
+        const load = img => {
+            img.addEventListener('error', () => img.closest('.gallery-item')?.classList.add('missing'), { once: true });
+            img.src = img.dataset.src;
+            img.removeAttribute('data-src');
+        };
+        if (!('IntersectionObserver' in window)) {
+            images.forEach(load);
+            return;
+        }
+        galleryObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                galleryObserver.unobserve(entry.target);
+                load(entry.target);
+            });
+        }, { rootMargin: '300px 0px' });
+        images.forEach(img => galleryObserver.observe(img));
+    }
+
+    function openLightbox(index) {
+        const test = galleryItems[index];
+        const box = qs('#galleryLightbox');
+        const image = qs('#lightboxImage');
+        if (!test || !box || !image) return;
+        galleryIndex = index;
+        qs('#lightboxTitle').textContent = test.testCaseName || 'Screenshot';
+        qs('#lightboxCounter').textContent = `${index + 1} / ${galleryItems.length}`;
+        image.src = screenshotUrl(test.screenshotFileName);
+        image.alt = `Screenshot for ${test.testCaseName || 'test'}`;
+        qs('#lightboxDetails').innerHTML = [
+            `<strong>Suite:</strong> ${escapeHtml(test.suiteName || 'Unknown')}`,
+            `<strong>Status:</strong> <span class="status-badge status-${(test.status || 'unknown').toLowerCase()}">${escapeHtml(test.status || 'Unknown')}</span>`,
+            test.failingStep ? `<strong>Failing Step:</strong> ${escapeHtml(test.failingStep)}` : '',
+            test.failureReason ? `<strong>Failure Reason:</strong> ${escapeHtml(truncateText(test.failureReason, 300))}` : ''
+        ].filter(Boolean).join('<br>');
+        qs('#lightboxPrev').disabled = index === 0;
+        qs('#lightboxNext').disabled = index === galleryItems.length - 1;
+        box.classList.add('show');
+        // Warm the cache so prev/next feel instant
+        [index - 1, index + 1].forEach(i => {
+            if (galleryItems[i]) new Image().src = screenshotUrl(galleryItems[i].screenshotFileName);
+        });
+    }
+
+    function closeLightbox() {
+        qs('#galleryLightbox')?.classList.remove('show');
+        const item = qs(`.gallery-item[data-gallery-index="${galleryIndex}"]`);
+        galleryIndex = -1;
+        item?.focus();
+    }
+
+    function setupScreenshotGallery() {
+        qs('#galleryGroup')?.addEventListener('change', renderScreenshotGallery);
+        qs('#screenshotGallery')?.addEventListener('click', e => {
+            const item = e.target.closest('.gallery-item');
+            if (item) openLightbox(parseInt(item.dataset.galleryIndex, 10));
+        });
+        qs('#lightboxPrev')?.addEventListener('click', () => openLightbox(galleryIndex - 1));
+        qs('#lightboxNext')?.addEventListener('click', () => openLightbox(galleryIndex + 1));
+        qs('#lightboxClose')?.addEventListener('click', closeLightbox);
+        qs('#galleryLightbox')?.addEventListener('click', e => { if (e.target === e.currentTarget) closeLightbox(); });
+        document.addEventListener('keydown', e => {
+            if (galleryIndex < 0) return;
+            if (e.key === 'ArrowLeft' && galleryIndex > 0) openLightbox(galleryIndex - 1);
+            else if (e.key === 'ArrowRight' && galleryIndex < galleryItems.length - 1) openLightbox(galleryIndex + 1);
+            else if (e.key === 'Escape') closeLightbox();
+            else return;
+            e.preventDefault();
+        });
+    }
+
     /* Test Results Table and Navigation */
     function populateSuiteFilter() {
         const select = qs('#suiteFilter');
@@ -1437,24 +4250,549 @@
     }
 
     function applyFilters() {
-        const searchTerm = (qs('#searchInput')?.value || '').toLowerCase();
+        const query = getSearchQuery(qs('#searchInput')?.value || '');
         const statusFilter = qs('#statusFilter')?.value || '';
         const suiteFilter = qs('#suiteFilter')?.value || '';
         
-        filteredTests = (reportData?.testResults || []).filter(test => {
-            const matchesSearch = !searchTerm || 
-                (test.testCaseName && test.testCaseName.toLowerCase().includes(searchTerm)) ||
-                (test.caseTags && test.caseTags.toLowerCase().includes(searchTerm));
+        // Removed tests only exist in the baseline payload
+        const source = diffFilter === 'removed' ? removedTests : (reportData?.testResults || []);
+        filteredTests = source.filter(test => {
+            const matchesSearch = matchesSearchQuery(test, query);
             const matchesStatus = !statusFilter || test.status === statusFilter;
             const matchesSuite = !suiteFilter || test.suiteName === suiteFilter;
+            const matchesDiff = !diffFilter || diffByTest.get(test)?.bucket === diffFilter;
             
-            return matchesSearch && matchesStatus && matchesSuite;
+            return matchesSearch && matchesStatus && matchesSuite && matchesDiff;
         });
+        facetSourceTests = filteredTests;
+        filteredTests = filteredTests.filter(matchesFacets);
+        renderFacets();
         
+        if (sortField) sortFilteredTests();
         currentPage = 1;
+        resetTableScroll('#testResultsBody');
         renderTestResults();
         updateResultsInfo();
         renderPagination();
+        scheduleUrlStateWrite();
+    }
+
+    /* Facets */
+    // Tags are parsed into key/value facets: "feature:checkout" and "priority=P1" become the feature and
+    // priority facets, test case IDs the ID facet and any other tag the Tags facet. Allure labels join
+    // the facet of the same name.
+    const FACET_ID_KEY = 'id';
+    const FACET_TAG_KEY = 'tag';
+    const FACET_LABELS = { [FACET_ID_KEY]: 'Test Case ID', [FACET_TAG_KEY]: 'Tags' };
+    const FACET_VISIBLE_VALUES = 8;
+    const FACET_PAIR = /^([^:=\s][^:=]*?)\s*[:=]\s*(\S.*)$/;
+    const testFacetCache = new WeakMap();
+
+    function getTestFacets(test) {
+        if (testFacetCache.has(test)) return testFacetCache.get(test);
+        const ids = extractTestCaseIds(test.caseTags);
+        const facets = new Set(ids.map(id => `${FACET_ID_KEY}:${id}`));
+        String(test.caseTags || '').split(',').map(tag => tag.trim()).filter(Boolean).forEach(tag => {
+            if (ids.includes(normalizeTestCaseId(tag))) return;
+            const pair = FACET_PAIR.exec(tag);
+            facets.add(pair ? `${pair[1].toLowerCase()}:${pair[2]}` : `${FACET_TAG_KEY}:${tag}`);
+        });
+        // Allure labels and links (epic, story, tms, ...) selected by CoverageLabels
+        Object.entries(test.labels || {}).forEach(([key, values]) => values.forEach(value => facets.add(`${key.toLowerCase()}:${value}`)));
+        testFacetCache.set(test, facets);
+        return facets;
+    }
+
+    const facetKey = facet => facet.slice(0, facet.indexOf(':'));
+    const facetValue = facet => facet.slice(facet.indexOf(':') + 1);
+
+    function matchesFacets(test) {
+        if (!facetSelection.size) return true;
+        const facets = getTestFacets(test);
+        const selected = [...facetSelection];
+        return facetMode === 'any' ? selected.some(f => facets.has(f)) : selected.every(f => facets.has(f));
+    }
+
+    // Counts and pass rates cover the tests matching the search, status, suite and change filters
+    function renderFacets() {
+        const panel = qs('#facetPanel');
+        const container = qs('#facetGroups');
+        if (!panel || !container) return;
+        panel.hidden = !(reportData?.testResults || []).some(t => getTestFacets(t).size);
+        if (panel.hidden) return;
+        const stats = new Map();
+        facetSourceTests.forEach(test => getTestFacets(test).forEach(facet => {
+            const entry = stats.get(facet) || { total: 0, passed: 0 };
+            entry.total++;
+            if (test.status === 'Passed') entry.passed++;
+            stats.set(facet, entry);
+        }));
+        // Ticked values stay visible (at zero) so they can be unticked after other filters change
+        facetSelection.forEach(facet => { if (!stats.has(facet)) stats.set(facet, { total: 0, passed: 0 }); });
+        
+        const groups = new Map();
+        stats.forEach((entry, facet) => {
+            const key = facetKey(facet);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ facet, value: facetValue(facet), ...entry });
+        });
+        const rank = key => key === FACET_TAG_KEY ? 0 : key === FACET_ID_KEY ? 2 : 1;
+        container.innerHTML = groups.size ? [...groups.entries()]
+            .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+            .map(([key, values]) => {
+                values.sort((a, b) => b.total - a.total || a.value.localeCompare(b.value, undefined, { numeric: true }));
+                const expanded = facetExpanded.has(key);
+                const shown = values.filter((v, i) => expanded || i < FACET_VISIBLE_VALUES || facetSelection.has(v.facet));
+                const more = values.length > FACET_VISIBLE_VALUES
+                    ? `<button type="button" class="facet-more" data-facet-key="${escapeAttr(key)}">${expanded ? 'Show fewer' : `Show all ${values.length}`}</button>`
+                    : '';
+                return `<div class="facet-group">
+                    <div class="facet-group-title">${escapeHtml(FACET_LABELS[key] || key)} <small>${values.length}</small></div>
+                    <ul>${shown.map(v => {
+                        const rate = v.total ? v.passed / v.total * 100 : 0;
+                        const cls = rate >= 80 ? 'passed' : rate >= 60 ? 'broken' : 'failed';
+                        return `<li><label class="facet-value${v.total ? '' : ' empty'}" title="${escapeAttr(`${v.facet}\n${v.passed} of ${v.total} passed`)}">
+                            <input type="checkbox" data-facet="${escapeAttr(v.facet)}"${facetSelection.has(v.facet) ? ' checked' : ''} />
+                            <span class="facet-value-name">${escapeHtml(v.value)}</span>
+                            <span class="facet-count">${v.total}</span>${v.total ? `<span class="status-badge status-${cls}">${rate.toFixed(0)}%</span>` : ''}
+                        </label></li>`;
+                    }).join('')}</ul>${more}
+                </div>`;
+            }).join('') : '<div class="facet-empty">No tagged tests match the current filters.</div>';
+        const clear = qs('#facetClear');
+        if (clear) clear.hidden = !facetSelection.size;
+        const mode = qs('#facetMode');
+        if (mode) mode.value = facetMode;
+    }
+
+    function setupFacets() {
+        const container = qs('#facetGroups');
+        container?.addEventListener('change', e => {
+            const facet = e.target.dataset?.facet;
+            if (!facet) return;
+            if (e.target.checked) facetSelection.add(facet);
+            else facetSelection.delete(facet);
+            applyFilters();
+        });
+        container?.addEventListener('click', e => {
+            const btn = e.target.closest('.facet-more');
+            if (!btn) return;
+            const key = btn.dataset.facetKey;
+            if (!facetExpanded.delete(key)) facetExpanded.add(key);
+            renderFacets();
+        });
+        qs('#facetMode')?.addEventListener('change', e => {
+            facetMode = e.target.value === 'any' ? 'any' : 'all';
+            if (facetSelection.size) applyFilters();
+            else scheduleUrlStateWrite();
+        });
+        qs('#facetClear')?.addEventListener('click', () => {
+            facetSelection.clear();
+            applyFilters();
+        });
+    }
+
+    /* Coverage */
+    const REQUIREMENTS_STORAGE_KEY = 'aqd_requirements';
+    // Preferred matrix rows, most specific first; any other facet key can be picked in the page
+    const COVERAGE_ROW_PREFERENCE = ['requirement', 'tms', FACET_ID_KEY, 'story', 'feature', 'epic'];
+    const COVERAGE_COLUMN_PREFERENCE = ['env', 'environment'];
+    const COVERAGE_NONE = '(none)';
+
+    // Accepts a JSON array of IDs or { id, title? } objects (optionally under "requirements"), or one "ID, title" per line
+    function parseRequirementsFile(text) {
+        const entries = [];
+        const errors = [];
+        if (!text || !text.trim()) return { entries, errors };
+        let list;
+        const trimmed = text.trim();
+        if (/^[[{]/.test(trimmed)) {
+            try {
+                const data = JSON.parse(trimmed);
+                list = Array.isArray(data) ? data : data?.requirements;
+            } catch (e) {
+                return { entries, errors: [`Invalid JSON: ${e.message}`] };
+            }
+            if (!Array.isArray(list)) return { entries, errors: ['Expected an array of requirements'] };
+        } else {
+            list = trimmed.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#')).map(line => {
+                const [id, ...title] = line.split(/[,\t]/);
+                return { id, title: title.join(',').trim() };
+            });
+        }
+        const seen = new Set();
+        list.forEach((item, i) => {
+            const id = String((item && typeof item === 'object' ? item.id : item) ?? '').trim();
+            if (!id) return errors.push(`Entry ${i + 1}: missing id`);
+            if (seen.has(id.toUpperCase())) return;
+            seen.add(id.toUpperCase());
+            entries.push({ id, title: item?.title ? String(item.title) : '' });
+        });
+        return { entries, errors };
+    }
+
+    function loadRequirements() {
+        let text = reportData?.requirements || null;
+        let source = 'report configuration';
+        const stored = localStorage.getItem(REQUIREMENTS_STORAGE_KEY);
+        if (stored) {
+            try {
+                const parsed = JSON.parse(stored);
+                text = parsed.text;
+                source = parsed.fileName || 'imported file';
+            } catch (e) {
+                console.warn('Ignoring invalid stored requirements:', e.message);
+                localStorage.removeItem(REQUIREMENTS_STORAGE_KEY);
+            }
+        }
+        const { entries, errors } = parseRequirementsFile(text);
+        requirements = entries;
+        const info = qs('#requirementsInfo');
+        if (info) {
+            info.textContent = entries.length
+                ? `Requirements: ${entries.length} from ${source}` + (errors.length ? ` · ${errors.length} skipped` : '')
+                : 'No requirements list – load one to see which requirements no test covers' + (errors.length ? ` (${errors[0]})` : '');
+            info.title = errors.join('\n');
+            info.classList.toggle('has-errors', errors.length > 0);
+        }
+        const resetBtn = qs('#resetRequirementsBtn');
+        if (resetBtn) resetBtn.hidden = !stored;
+    }
+
+    function getCoverageKeys() {
+        const keys = new Set();
+        (reportData?.testResults || []).forEach(test => getTestFacets(test).forEach(facet => keys.add(facetKey(facet))));
+        return [...keys].sort((a, b) => a.localeCompare(b));
+    }
+
+    function getCoverageColumnValues(test) {
+        if (!coverageColumnKey) return [test.suiteName || 'Unknown Suite'];
+        const values = [...getTestFacets(test)].filter(f => facetKey(f) === coverageColumnKey).map(facetValue);
+        return values.length ? values : [COVERAGE_NONE];
+    }
+
+    // Passed when every executed test passed, failed when none did; skipped-only cells count as not run
+    function coverageCellState(cell) {
+        const executed = cell ? cell.passed + cell.failed : 0;
+        if (!executed) return 'not-run';
+        if (!cell.failed) return 'passed';
+        return cell.passed ? 'mixed' : 'failed';
+    }
+
+    function buildCoverageMatrix() {
+        const rows = new Map();
+        const columns = new Set();
+        let untagged = 0;
+        (reportData?.testResults || []).forEach(test => {
+            const rowValues = [...getTestFacets(test)].filter(f => facetKey(f) === coverageRowKey).map(facetValue);
+            if (!rowValues.length) {
+                untagged++;
+                return;
+            }
+            const columnValues = getCoverageColumnValues(test);
+            columnValues.forEach(c => columns.add(c));
+            const passed = test.status === 'Passed';
+            const failed = isFailingStatus(test.status);
+            rowValues.forEach(value => {
+                if (!rows.has(value)) rows.set(value, { name: value, total: 0, passed: 0, failed: 0, cells: new Map() });
+                const row = rows.get(value);
+                row.total++;
+                if (passed) row.passed++;
+                if (failed) row.failed++;
+                columnValues.forEach(column => {
+                    const cell = row.cells.get(column) || { total: 0, passed: 0, failed: 0 };
+                    cell.total++;
+                    if (passed) cell.passed++;
+                    if (failed) cell.failed++;
+                    row.cells.set(column, cell);
+                });
+            });
+        });
+        const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+        return {
+            rows: [...rows.values()].map(r => ({ ...r, passRate: r.total ? r.passed / r.total * 100 : 0 })).sort((a, b) => byName(a.name, b.name)),
+            columns: [...columns].sort((a, b) => (a === COVERAGE_NONE) - (b === COVERAGE_NONE) || byName(a, b)),
+            untagged
+        };
+    }
+
+    function renderCoverage() {
+        const table = qs('#coverageTable');
+        if (!table) return;
+        const keys = getCoverageKeys();
+        const label = key => FACET_LABELS[key] || key;
+        if (!keys.includes(coverageRowKey)) coverageRowKey = COVERAGE_ROW_PREFERENCE.find(k => keys.includes(k)) || keys[0] || '';
+        if (coverageColumnKey === null) coverageColumnKey = COVERAGE_COLUMN_PREFERENCE.find(k => keys.includes(k) && k !== coverageRowKey) || '';
+        if (coverageColumnKey && (!keys.includes(coverageColumnKey) || coverageColumnKey === coverageRowKey)) coverageColumnKey = '';
+        const rowSelect = qs('#coverageRows');
+        if (rowSelect) {
+            rowSelect.innerHTML = keys.map(k => `<option value="${escapeAttr(k)}">${escapeHtml(label(k))}</option>`).join('');
+            rowSelect.value = coverageRowKey;
+        }
+        const columnSelect = qs('#coverageColumns');
+        if (columnSelect) {
+            columnSelect.innerHTML = '<option value="">Suite</option>' + keys.filter(k => k !== coverageRowKey).map(k => `<option value="${escapeAttr(k)}">${escapeHtml(label(k))}</option>`).join('');
+            columnSelect.value = coverageColumnKey;
+        }
+        
+        const matrix = coverageRowKey ? buildCoverageMatrix() : { rows: [], columns: [], untagged: 0 };
+        coverageMatrix = matrix;
+        const info = qs('#coverageInfo');
+        if (info) info.textContent = matrix.rows.length
+            ? `${matrix.rows.length} ${label(coverageRowKey)} value${matrix.rows.length === 1 ? '' : 's'} × ${matrix.columns.length} column${matrix.columns.length === 1 ? '' : 's'}` + (matrix.untagged ? ` · ${matrix.untagged} test${matrix.untagged === 1 ? '' : 's'} without ${label(coverageRowKey)}` : '')
+            : '';
+        if (!matrix.rows.length) {
+            table.innerHTML = '<tbody><tr><td class="empty-message">No tests carry feature or requirement tags or labels (e.g. <code>feature:checkout</code>, <code>requirement:REQ-12</code> or an Allure story).</td></tr></tbody>';
+        } else {
+            table.innerHTML = `<thead><tr><th>${escapeHtml(label(coverageRowKey))}</th><th>Tests</th><th>Pass Rate</th>${matrix.columns.map(c => `<th title="${escapeAttr(c)}">${escapeHtml(truncate(c, 24))}</th>`).join('')}</tr></thead>
+                <tbody>${matrix.rows.map(row => {
+                    const cls = row.passRate >= 80 ? 'passed' : row.passRate >= 60 ? 'broken' : 'failed';
+                    return `<tr>
+                        <td title="${escapeAttr(row.name)}">${escapeHtml(truncate(row.name, 50))}</td>
+                        <td>${row.total}</td>
+                        <td><span class="status-badge status-${cls}">${row.passRate.toFixed(0)}%</span></td>
+                        ${matrix.columns.map(column => {
+                            const cell = row.cells.get(column);
+                            const state = coverageCellState(cell);
+                            if (!cell) return `<td class="coverage-cell coverage-not-run" title="${escapeAttr(`${row.name} × ${column}: not run`)}"></td>`;
+                            const tip = `${row.name} × ${column}\n${cell.passed} passed, ${cell.failed} failed or broken` + (cell.total > cell.passed + cell.failed ? `, ${cell.total - cell.passed - cell.failed} skipped` : '');
+                            return `<td class="coverage-cell coverage-${state}"><button type="button" class="coverage-cell-btn" data-row="${escapeAttr(row.name)}" data-column="${escapeAttr(column)}" title="${escapeAttr(tip)}">${cell.passed}/${cell.total}</button></td>`;
+                        }).join('')}
+                    </tr>`;
+                }).join('')}</tbody>`;
+        }
+        renderUncoveredRequirements();
+        scheduleUrlStateWrite();
+    }
+
+    // A requirement is covered when any test carries its ID as a tag, label or test case ID, whatever the key
+    function renderUncoveredRequirements() {
+        const container = qs('#uncoveredRequirements');
+        if (!container) return;
+        if (!requirements.length) {
+            container.innerHTML = '';
+            return;
+        }
+        const values = new Set();
+        (reportData?.testResults || []).forEach(test => getTestFacets(test).forEach(facet => values.add(facetValue(facet).toUpperCase())));
+        const uncovered = requirements.filter(r => !values.has(r.id.toUpperCase()));
+        const covered = requirements.length - uncovered.length;
+        container.innerHTML = `<h3><i class="fa-solid fa-circle-exclamation"></i> Uncovered Requirements <small>${covered} of ${requirements.length} covered (${(covered / requirements.length * 100).toFixed(0)}%)</small></h3>` +
+            (uncovered.length
+                ? `<ul class="uncovered-list">${uncovered.map(r => `<li><strong>${escapeHtml(r.id)}</strong>${r.title ? ` ${escapeHtml(r.title)}` : ''}</li>`).join('')}</ul>`
+                : '<p class="empty-message">Every requirement is covered by at least one test.</p>');
+    }
+
+    // Test Results filtered to one matrix cell through the facet sidebar (plus the suite filter for suite columns)
+    function openCoverageCell(row, column) {
+        const search = qs('#searchInput');
+        if (search) search.value = '';
+        ['#statusFilter', '#suiteFilter', '#diffFilter'].forEach(sel => { const el = qs(sel); if (el) el.value = ''; });
+        diffFilter = '';
+        facetSelection = new Set([`${coverageRowKey}:${row}`]);
+        facetMode = 'all';
+        if (!coverageColumnKey) {
+            const suiteSelect = qs('#suiteFilter');
+            if (suiteSelect) suiteSelect.value = column;
+        } else if (column !== COVERAGE_NONE) {
+            facetSelection.add(`${coverageColumnKey}:${column}`);
+        }
+        showSection('test-results');
+        applyFilters();
+    }
+
+    function setupCoverage() {
+        qs('#coverageRows')?.addEventListener('change', e => {
+            coverageRowKey = e.target.value;
+            renderCoverage();
+        });
+        qs('#coverageColumns')?.addEventListener('change', e => {
+            coverageColumnKey = e.target.value;
+            renderCoverage();
+        });
+        qs('#coverageTable')?.addEventListener('click', e => {
+            const btn = e.target.closest('.coverage-cell-btn');
+            if (btn) openCoverageCell(btn.dataset.row, btn.dataset.column);
+        });
+        
+        const btn = qs('#loadRequirementsBtn');
+        const input = qs('#loadRequirementsInput');
+        btn?.addEventListener('click', () => input?.click());
+        input?.addEventListener('change', () => {
+            const file = input.files?.[0];
+            input.value = '';
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                const { entries, errors } = parseRequirementsFile(reader.result);
+                if (!entries.length) {
+                    const info = qs('#requirementsInfo');
+                    if (info) {
+                        info.textContent = `No requirements in ${file.name}` + (errors.length ? `: ${errors[0]}` : '');
+                        info.classList.add('has-errors');
+                    }
+                    return;
+                }
+                localStorage.setItem(REQUIREMENTS_STORAGE_KEY, JSON.stringify({ fileName: file.name, text: reader.result }));
+                loadRequirements();
+                renderUncoveredRequirements();
+            };
+            reader.readAsText(file);
+        });
+        qs('#resetRequirementsBtn')?.addEventListener('click', () => {
+            localStorage.removeItem(REQUIREMENTS_STORAGE_KEY);
+            loadRequirements();
+            renderUncoveredRequirements();
+        });
+    }
+
+    /* Search Query Language */
+    // Supported: bare words, "quoted phrases", field:value, -negation, duration:>30s and /regex/flags values
+    const QUERY_FIELDS = {
+        name: { prop: 'testCaseName' },
+        suite: { prop: 'suiteName' },
+        status: { prop: 'status', exact: true },
+        tag: { prop: 'caseTags' },
+        reason: { prop: 'failureReason' },
+        step: { prop: 'failingStep' },
+        perf: { prop: 'performanceCategory', exact: true },
+        owner: { prop: 'owner' },
+        triage: { prop: 'triage' },
+        known: { prop: 'knownIssue' },
+        duration: { prop: 'durationMs', numeric: true }
+    };
+    const QUERY_FIELD_ALIASES = { tags: 'tag', test: 'name', error: 'reason', performance: 'perf' };
+    const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    let lastSearchQuery = { text: null, query: null };
+
+    function getSearchQuery(text) {
+        if (lastSearchQuery.text === text) return lastSearchQuery.query;
+        let query;
+        try {
+            query = parseSearchQuery(text);
+            showSearchError('');
+        } catch (e) {
+            // An invalid query is ignored rather than silently matching nothing
+            query = [];
+            showSearchError(e.message);
+        }
+        lastSearchQuery = { text, query };
+        return query;
+    }
+
+    function showSearchError(message) {
+        const el = qs('#searchError');
+        const input = qs('#searchInput');
+        if (el) {
+            el.textContent = message;
+            el.hidden = !message;
+        }
+        input?.classList.toggle('invalid', !!message);
+    }
+
+    function tokenizeSearchQuery(text) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            if (/\s/.test(text[i])) { i++; continue; }
+            let token = '';
+            while (i < text.length && !/\s/.test(text[i])) {
+                const ch = text[i];
+                if (ch === '"') {
+                    const end = text.indexOf('"', i + 1);
+                    if (end === -1) throw new Error('Unterminated quoted phrase');
+                    token += text.slice(i, end + 1);
+                    i = end + 1;
+                } else if (ch === '/' && /(^-?|:)$/.test(token) && findRegexEnd(text, i) !== -1) {
+                    // Regex literal: runs to the next unescaped slash, spaces allowed
+                    const end = findRegexEnd(text, i);
+                    token += text.slice(i, end + 1);
+                    i = end + 1;
+                } else {
+                    token += ch;
+                    i++;
+                }
+            }
+            tokens.push(token);
+        }
+        return tokens;
+    }
+
+    // Escapes text for a /regex/ search term, slashes included since they would end the literal
+    function escapeQueryRegex(str) {
+        return String(str).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+
+    // Index of the slash closing a regex literal opened at start, or -1 when there is none (e.g. a bare "/path")
+    function findRegexEnd(text, start) {
+        let j = start + 1;
+        while (j < text.length && (text[j] !== '/' || text[j - 1] === '\\')) j++;
+        return j < text.length ? j : -1;
+    }
+
+    function parseSearchQuery(text) {
+        return tokenizeSearchQuery(text.trim()).map(token => {
+            let negate = false;
+            if (token.startsWith('-') && token.length > 1) { negate = true; token = token.slice(1); }
+            let field = null;
+            // "Error:" (no value) and "http://host" or "C:\dir" (a path follows) are prose, not fields
+            const fieldMatch = token.match(/^([a-z]+):(.+)$/is);
+            const fieldName = fieldMatch && (QUERY_FIELD_ALIASES[fieldMatch[1].toLowerCase()] || fieldMatch[1].toLowerCase());
+            if (fieldMatch && QUERY_FIELDS[fieldName]) {
+                field = fieldName;
+                token = fieldMatch[2];
+            } else if (fieldMatch && !/^[/\\]/.test(fieldMatch[2])) {
+                throw new Error(`Unknown field "${fieldMatch[1]}" – use ${Object.keys(QUERY_FIELDS).join(', ')}`);
+            }
+            const clause = { field, negate };
+            if (field && QUERY_FIELDS[field].numeric) {
+                const m = token.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)(ms|s|m|h)?$/i);
+                if (!m) throw new Error(`Invalid duration "${token}" – use e.g. >30s, <=500ms, >=2m`);
+                clause.op = m[1] || '>=';
+                clause.number = parseFloat(m[2]) * DURATION_UNITS[(m[3] || 'ms').toLowerCase()];
+                return clause;
+            }
+            const regexMatch = token.match(/^\/(.+)\/([dgimsuvy]*)$/s);
+            if (regexMatch) {
+                try {
+                    clause.regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+                } catch (e) {
+                    throw new Error(e.message);
+                }
+                return clause;
+            }
+            // "/timeout/x": a literal followed by letters that are not flags; "/api/v1" stays a path
+            const regexEnd = token.startsWith('/') ? findRegexEnd(token, 0) : -1;
+            if (regexEnd > 1 && /^[a-z]+$/i.test(token.slice(regexEnd + 1))) {
+                throw new Error(`Invalid regex flags "${token.slice(regexEnd + 1)}" – use d, i, m, s, u or v`);
+            }
+            clause.text = token.replace(/^"(.*)"$/s, '$1').replace(/"/g, '').toLowerCase();
+            return clause;
+        });
+    }
+
+    function matchesSearchQuery(test, query) {
+        return query.every(clause => {
+            const values = clause.field
+                ? [test[QUERY_FIELDS[clause.field].prop]]
+                : [test.testCaseName, test.caseTags];
+            let hit;
+            if (clause.op) {
+                const ms = test.durationMs || 0;
+                hit = clause.op === '>' ? ms > clause.number
+                    : clause.op === '<' ? ms < clause.number
+                    : clause.op === '>=' ? ms >= clause.number
+                    : clause.op === '<=' ? ms <= clause.number
+                    : ms === clause.number;
+            } else if (clause.regex) {
+                hit = values.some(v => v != null && clause.regex.test(String(v)));
+            } else if (clause.field && QUERY_FIELDS[clause.field].exact) {
+                hit = values.some(v => String(v || '').toLowerCase() === clause.text);
+            } else {
+                hit = values.some(v => String(v || '').toLowerCase().includes(clause.text));
+            }
+            return clause.negate ? !hit : hit;
+        });
     }
 
     function renderTestResults() {
@@ -1465,27 +4803,156 @@
         const endIndex = pageSize === 'all' ? filteredTests.length : startIndex + pageSize;
         const pageTests = filteredTests.slice(startIndex, endIndex);
         
-        tbody.innerHTML = pageTests.map((test, index) => {
-            const globalIndex = startIndex + index + 1;
-            const tags = test.caseTags || '';
-            const failingStep = test.failingStep ? truncate(test.failingStep, 40) : '';
-            const failureReason = test.failureReason ? truncate(test.failureReason, 50) : '';
-            const screenshotButton = test.screenshotFileName ? 
-                `<button class="view-details-btn" onclick="showScreenshotModal('images/${escapeAttr(test.screenshotFileName)}', ${escapeAttr(JSON.stringify(test))})" type="button">View</button>` : '';
-            
-            return `<tr>
-                <td>${globalIndex}</td>
-                <td>${escapeHtml(test.suiteName)}</td>
-                <td title="${escapeAttr(test.testCaseName)}">${escapeHtml(truncate(test.testCaseName, 60))}</td>
-                <td><span class="status-badge status-${test.status.toLowerCase()}">${escapeHtml(test.status)}</span></td>
-                <td>${escapeHtml(test.duration)}</td>
-                <td><span class="perf-badge perf-${(test.performanceCategory || '').toLowerCase()}">${escapeHtml(test.performanceCategory || '')}</span></td>
-                <td title="${escapeAttr(tags)}">${escapeHtml(truncate(tags, 30))}</td>
-                <td title="${escapeAttr(test.failingStep || '')}">${escapeHtml(failingStep)}</td>
-                <td title="${escapeAttr(test.failureReason || '')}">${escapeHtml(failureReason)}</td>
-                <td>${screenshotButton}</td>
-            </tr>`;
-        }).join('');
+        const expanded = [];
+        pageTests.forEach((test, i) => { if (expandedTests.has(test)) expanded.push(i); });
+        renderTableRows(tbody, pageTests.length, i => buildTestResultRow(pageTests[i], startIndex + i + 1), 11, expanded);
+    }
+
+    function buildTestResultRow(test, globalIndex) {
+        const tags = test.caseTags || '';
+        const failingStep = test.failingStep ? truncate(test.failingStep, 40) : '';
+        const failureReason = test.failureReason ? truncate(test.failureReason, 50) : '';
+        const screenshotButton = buildScreenshotLink(test);
+        
+        const open = expandedTests.has(test);
+        return `<tr class="test-row${open ? ' expanded' : ''}" data-test-index="${globalIndex - 1}">
+            <td><button type="button" class="row-expand-btn" aria-expanded="${open}" aria-label="${open ? 'Hide' : 'Show'} details">${open ? '▾' : '▸'}</button>${globalIndex}</td>
+            <td>${buildSuiteLink(test.suiteName)}</td>
+            <td>${escapeHtml(getOwner(test))}</td>
+            <td title="${escapeAttr(test.testCaseName)}">${escapeHtml(truncate(test.testCaseName, 60))}</td>
+            <td><span class="status-badge status-${test.status.toLowerCase()}">${escapeHtml(test.status)}</span>${buildDiffBadge(test)}${buildKnownBadge(test)}${buildTriageBadge(getTestTriage(test))}</td>
+            <td>${escapeHtml(test.duration)}</td>
+            <td><span class="perf-badge perf-${(test.performanceCategory || '').toLowerCase()}">${escapeHtml(test.performanceCategory || '')}</span></td>
+            <td title="${escapeAttr(tags)}">${escapeHtml(truncate(tags, 30))}</td>
+            <td title="${escapeAttr(test.failingStep || '')}">${escapeHtml(failingStep)}</td>
+            <td title="${escapeAttr(test.failureReason || '')}">${escapeHtml(failureReason)}</td>
+            <td>${screenshotButton}</td>
+        </tr>` + (open ? buildTestDetailRow(test, globalIndex - 1) : '');
+    }
+
+    /* Row Detail Panel */
+    function buildTestDetailRow(test, testIndex) {
+        const reason = test.failureReason || '';
+        const { expectedSnippet, actualSnippet } = extractNUnitSnippets(reason, Infinity);
+        const comparison = expectedSnippet || actualSnippet ? `
+            <div class="nunit-compare">
+                <div class="nunit-expected"><span>Expected</span><code>${escapeHtml(expectedSnippet || '–')}</code></div>
+                <div class="nunit-actual"><span>But was</span><code>${escapeHtml(actualSnippet || '–')}</code></div>
+            </div>` : '';
+        const thumbnail = test.screenshotFileName ? `
+            <div class="row-detail-media">
+                <button type="button" class="detail-thumb" data-screenshot-index="${getTestIndex(test)}" title="Open screenshot">
+                    <img src="${escapeAttr(screenshotUrl(test.screenshotFileName))}" alt="Screenshot for ${escapeAttr(test.testCaseName)}" loading="lazy" />
+                </button>
+            </div>` : '';
+        const meta = [
+            ['Suite', test.suiteName],
+            ['Owner', getOwner(test)],
+            ['Status', test.status],
+            ['Known Issue', test.knownIssue],
+            ['Duration', test.duration],
+            ['Tags', test.caseTags],
+            ['Failing Step', test.failingStep]
+        ].filter(([, value]) => value).map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join('');
+        return `<tr class="row-detail"><td colspan="11">
+            <div class="row-detail-panel">
+                <div class="row-detail-main">
+                    <div class="row-detail-header">
+                        <strong>${escapeHtml(test.testCaseName)}</strong>
+                        <span class="row-detail-actions">
+                            ${buildTimelineButton(test)}
+                            ${buildTriageButton('tests', triageTestKey(test), triageState.tests[triageTestKey(test)])}
+                            <button type="button" class="view-details-btn copy-ticket-btn" data-test-index="${testIndex}"><i class="fa-regular fa-copy"></i> Copy for ticket</button>
+                        </span>
+                    </div>
+                    <dl class="row-detail-meta">${meta}</dl>
+                    ${comparison}
+                    ${reason ? `<pre class="failure-reason-full">${formatFailureReasonHtml(reason)}</pre>` : '<p class="empty-message">No failure message recorded</p>'}
+                </div>
+                ${thumbnail}
+            </div>
+        </td></tr>`;
+    }
+
+    function formatFailureReasonHtml(reason) {
+        return reason.split(/\r?\n/).map(line => {
+            if (RX.nunitExpected.test(line)) return `<span class="nunit-line-expected">${escapeHtml(line)}</span>`;
+            if (RX.nunitActual.test(line)) return `<span class="nunit-line-actual">${escapeHtml(line)}</span>`;
+            return escapeHtml(line);
+        }).join('\n');
+    }
+
+    function formatFailureForTicket(test) {
+        const lines = [
+            `[${test.suiteName || 'Unknown suite'}] ${test.testCaseName || 'Unknown test'}`,
+            '',
+            `Status: ${test.status || 'Unknown'}`,
+            `Duration: ${test.duration || 'Unknown'}`
+        ];
+        if (test.caseTags) lines.push(`Tags: ${test.caseTags}`);
+        lines.push(`Owner: ${getOwner(test)}`);
+        const triage = getTestTriage(test);
+        if (triage) lines.push(`Triage: ${[TRIAGE_CLASSIFICATIONS[triage.classification], triage.ticket].filter(Boolean).join(' ')}`);
+        if (test.knownIssue) lines.push(`Known issue: ${test.knownIssue}`);
+        if (test.failingStep) lines.push(`Failing step: ${test.failingStep}`);
+        if (test.failureReason) lines.push('', 'Failure reason:', '```', test.failureReason, '```');
+        if (test.screenshotFileName) lines.push('', `Screenshot: images/${test.screenshotFileName}`);
+        lines.push('', `Report: ${location.href}`);
+        return lines.join('\n');
+    }
+
+    function copyFailureForTicket(test, button) {
+        if (!test) return;
+        const text = formatFailureForTicket(test);
+        const done = ok => {
+            const original = button.innerHTML;
+            button.textContent = ok ? 'Copied!' : 'Copy failed';
+            setTimeout(() => { button.innerHTML = original; }, 1500);
+        };
+        if (navigator.clipboard?.writeText) {
+            navigator.clipboard.writeText(text).then(() => done(true), () => done(copyWithTextarea(text)));
+        } else {
+            done(copyWithTextarea(text));
+        }
+    }
+
+    // Clipboard API is unavailable for file:// pages in some browsers
+    function copyWithTextarea(text) {
+        const area = document.createElement('textarea');
+        area.value = text;
+        area.setAttribute('readonly', '');
+        area.style.cssText = 'position:fixed;top:-1000px;opacity:0;';
+        document.body.appendChild(area);
+        area.select();
+        let ok = false;
+        try { ok = document.execCommand('copy'); } catch (e) { ok = false; }
+        area.remove();
+        return ok;
+    }
+
+    function toggleTestDetail(testIndex) {
+        const test = filteredTests[testIndex];
+        if (!test) return;
+        if (expandedTests.has(test)) expandedTests.delete(test);
+        else expandedTests.add(test);
+        renderTestResults();
+    }
+
+    function setupRowDetails() {
+        const tbody = qs('#testResultsBody');
+        if (!tbody) return;
+        tbody.addEventListener('click', e => {
+            const copyBtn = e.target.closest('.copy-ticket-btn');
+            if (copyBtn) {
+                copyFailureForTicket(filteredTests[parseInt(copyBtn.dataset.testIndex, 10)], copyBtn);
+                return;
+            }
+            const row = e.target.closest('tr.test-row');
+            if (!row || e.target.closest('a, button:not(.row-expand-btn)')) return;
+            // Selecting text inside a row should not toggle it
+            if (!e.target.closest('.row-expand-btn') && window.getSelection()?.toString()) return;
+            toggleTestDetail(parseInt(row.dataset.testIndex, 10));
+        });
     }
 
     function updateResultsInfo() {
@@ -1551,6 +5018,7 @@
         renderTestResults();
         updateResultsInfo();
         renderPagination();
+        scheduleUrlStateWrite();
     }
 
     /* Event Setup */
@@ -1568,6 +5036,13 @@
         const themeBtn = qs('#themeToggle');
         if (themeBtn) themeBtn.addEventListener('click', toggleTheme);
         
+        // Previous run payloads (file picker and drag & drop)
+        setupRunHistoryLoading();
+        setupDiffControls();
+        
+        // Slowdowns against the baseline run
+        setupRegressionControls();
+        
         // Search and filters
         const searchInput = qs('#searchInput');
         if (searchInput) {
@@ -1588,6 +5063,7 @@
                 renderTestResults();
                 updateResultsInfo();
                 renderPagination();
+                scheduleUrlStateWrite();
             });
         }
         
@@ -1611,6 +5087,54 @@
         
         // Table sorting
         setupTableSorting();
+        
+        // CSV / JSON / Markdown export menus
+        setupExportMenus();
+        
+        // Expandable test result rows
+        setupRowDetails();
+        
+        // Custom failure categorization rules
+        setupFailureRuleLoading();
+        
+        // Owners file import and team work queues
+        setupOwnershipLoading();
+        
+        // Triage dialog, export and import
+        setupTriage();
+        
+        // Known-issues baseline
+        setupKnownIssuesLoading();
+        
+        // Screenshot gallery and lightbox
+        setupScreenshotGallery();
+        
+        // Baseline screenshot comparison in the screenshot modal
+        setupScreenshotCompare();
+        
+        // Per-test step waterfall
+        setupStepTimeline();
+        
+        // Screenshot buttons in table rows and row details
+        setupScreenshotButtons();
+        
+        // Hover and focus tooltips for the SVG charts
+        setupChartTooltips();
+        
+        // Worker lanes of the execution timeline
+        setupExecutionTimeline();
+        
+        // Suite links, the all-suites list and the suite detail view
+        setupSuiteDetail();
+        
+        // Tag and test case ID facets beside the results table
+        setupFacets();
+        
+        // Coverage matrix and requirements file
+        setupCoverage();
+        
+        // Back/forward navigation and edited links
+        window.addEventListener('popstate', restoreUrlState);
     }
 
     function setupTableSorting() {
@@ -1625,11 +5149,17 @@
                 }
                 sortTests();
                 updateSortIndicators();
+                scheduleUrlStateWrite();
             });
         });
     }
 
     function sortTests() {
+        sortFilteredTests();
+        renderTestResults();
+    }
+
+    function sortFilteredTests() {
         filteredTests.sort((a, b) => {
             let aVal = a[sortField];
             let bVal = b[sortField];
@@ -1646,8 +5176,6 @@
             if (aVal > bVal) return sortDirection === 'asc' ? 1 : -1;
             return 0;
         });
-        
-        renderTestResults();
     }
 
     function updateSortIndicators() {
@@ -1672,6 +5200,302 @@
         
         if (targetSection) targetSection.classList.add('active');
         if (targetLink) targetLink.classList.add('active');
+        refreshVirtualTables(targetSection);
+        if (sectionId === 'screenshots') renderScreenshotGallery();
+        if (sectionId === 'execution-timeline') renderExecutionTimeline();
+        if (sectionId === 'suites') renderSuitesSection();
+        if (sectionId === 'coverage') renderCoverage();
+        scheduleUrlStateWrite();
+    }
+
+    /* Export */
+    const EXPORT_TABLES = {
+        tests: {
+            name: 'test-results',
+            rows: () => filteredTests,
+            columns: () => [
+                { key: 'suiteName', label: 'Suite' },
+                { key: 'owner', label: 'Owner', value: t => getOwner(t) },
+                { key: 'testCaseName', label: 'Test Name' },
+                { key: 'status', label: 'Status' },
+                { key: 'knownIssue', label: 'Known Issue' },
+                { key: 'triage', label: 'Triage', value: t => {
+                    const entry = getTestTriage(t);
+                    return entry ? [TRIAGE_CLASSIFICATIONS[entry.classification], entry.ticket].filter(Boolean).join(' ') : '';
+                } },
+                ...(baselineRun ? [{ key: 'change', label: 'Change', value: t => diffByTest.get(t) ? DIFF_BUCKETS[diffByTest.get(t).bucket].label : '' }] : []),
+                { key: 'duration', label: 'Duration' },
+                { key: 'durationMs', label: 'Duration (ms)' },
+                { key: 'performanceCategory', label: 'Performance' },
+                { key: 'caseTags', label: 'Tags' },
+                { key: 'failingStep', label: 'Failing Step' },
+                { key: 'failureReason', label: 'Failure Reason' },
+                { key: 'screenshotFileName', label: 'Screenshot' }
+            ]
+        },
+        slow: {
+            name: 'slow-tests',
+            rows: () => slowTestsFiltered,
+            columns: () => [
+                { key: 'rank', label: '#', value: (t, i) => i + 1 },
+                { key: 'testCaseName', label: 'Test Name' },
+                { key: 'suiteName', label: 'Suite' },
+                { key: 'duration', label: 'Duration' },
+                { key: 'durationMs', label: 'Duration (ms)' },
+                { key: 'status', label: 'Status' },
+                { key: 'performanceCategory', label: 'Performance' },
+                { key: 'caseTags', label: 'Tags' }
+            ]
+        },
+        regressions: {
+            name: 'performance-regressions',
+            rows: () => getVisibleRegressions(),
+            columns: () => [
+                { key: 'rank', label: '#', value: (r, i) => i + 1 },
+                { key: 'kind', label: 'Type' },
+                { key: 'name', label: 'Name' },
+                { key: 'suiteName', label: 'Suite' },
+                { key: 'baselineMs', label: 'Baseline (ms)' },
+                { key: 'currentMs', label: 'Current (ms)' },
+                { key: 'changePct', label: 'Change %', value: r => r.changePct.toFixed(1) },
+                { key: 'evidence', label: 'Evidence' }
+            ]
+        },
+        steps: {
+            name: 'top-steps',
+            rows: () => topStepsData,
+            columns: () => [
+                { key: 'rank', label: '#' },
+                { key: 'stepName', label: 'Step Name' },
+                { key: 'minDurationReadable', label: 'Min' },
+                { key: 'avgDurationReadable', label: 'Avg' },
+                { key: 'maxDurationReadable', label: 'Max' },
+                { key: 'totalDurationReadable', label: 'Total' },
+                { key: 'count', label: 'Count' },
+                { key: 'failRate', label: 'Fail Rate %', value: s => Number(s.failRate ?? 0).toFixed(1) },
+                { key: 'performanceCategory', label: 'Performance' },
+                { key: 'reliabilityCategory', label: 'Reliability' }
+            ]
+        },
+        coverage: {
+            name: 'coverage',
+            rows: () => coverageMatrix.rows,
+            columns: () => [
+                { key: 'name', label: FACET_LABELS[coverageRowKey] || coverageRowKey || 'Feature' },
+                { key: 'total', label: 'Tests' },
+                { key: 'passRate', label: 'Pass Rate %', value: r => r.passRate.toFixed(1) },
+                // Column values are data (suite names, tag values), so their JSON keys get a prefix to stay clear of name/total/passRate
+                ...coverageMatrix.columns.map(column => ({ key: `column:${column}`, label: column, value: r => {
+                    const cell = r.cells.get(column);
+                    return cell ? `${coverageCellState(cell)} ${cell.passed}/${cell.total}` : 'not-run';
+                } }))
+            ]
+        },
+        clusters: {
+            name: 'failure-patterns',
+            rows: () => failureClusterRows,
+            columns: () => [
+                { key: 'pattern', label: 'Pattern' },
+                { key: 'representative', label: 'Representative Message' },
+                { key: 'variants', label: 'Variants' },
+                { key: 'category', label: 'Category' },
+                { key: 'count', label: 'Count' },
+                { key: 'testCases', label: 'Test Cases' },
+                { key: 'suites', label: 'Affected Suites' },
+                { key: 'impact', label: 'Impact' },
+                { key: 'recommendedAction', label: 'Recommended Action' },
+                { key: 'owner', label: 'Owner' },
+                { key: 'triage', label: 'Triage' },
+                { key: 'ticket', label: 'Ticket' },
+                { key: 'triageNote', label: 'Triage Note' }
+            ]
+        }
+    };
+
+    const EXPORT_FORMATS = {
+        csv: { extension: 'csv', mime: 'text/csv;charset=utf-8' },
+        json: { extension: 'json', mime: 'application/json' },
+        md: { extension: 'md', mime: 'text/markdown;charset=utf-8' }
+    };
+
+    function exportCellValue(row, column, index) {
+        const value = column.value ? column.value(row, index) : row[column.key];
+        return value === null || value === undefined ? '' : value;
+    }
+
+    function serializeRows(rows, columns, format) {
+        if (format === 'json') {
+            return JSON.stringify(rows.map((row, i) => Object.fromEntries(columns.map(c => [c.key, exportCellValue(row, c, i)]))), null, 2);
+        }
+        if (format === 'md') {
+            const cell = v => String(v).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+            const lines = [
+                '| ' + columns.map(c => cell(c.label)).join(' | ') + ' |',
+                '| ' + columns.map(() => '---').join(' | ') + ' |',
+                ...rows.map((row, i) => '| ' + columns.map(c => cell(exportCellValue(row, c, i))).join(' | ') + ' |')
+            ];
+            return lines.join('\n') + '\n';
+        }
+        const csvCell = v => {
+            let str = String(v);
+            // Spreadsheets run cells starting with = + - @ as formulas; quote them as text unless they are plain numbers
+            if (/^[=+\-@\t\r]/.test(str) && !/^-?\d+(\.\d+)?%?$/.test(str)) str = "'" + str;
+            return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+        };
+        // BOM so spreadsheet tools pick up UTF-8
+        return '\ufeff' + [columns.map(c => csvCell(c.label)).join(','), ...rows.map((row, i) => columns.map(c => csvCell(exportCellValue(row, c, i))).join(','))].join('\r\n') + '\r\n';
+    }
+
+    function exportTable(tableKey, format) {
+        const table = EXPORT_TABLES[tableKey];
+        const fmt = EXPORT_FORMATS[format];
+        if (!table || !fmt) return;
+        const content = serializeRows(table.rows() || [], table.columns(), format);
+        downloadBlob(content, `${table.name}-${reportFileStamp()}.${fmt.extension}`, fmt.mime);
+    }
+
+    function reportFileStamp() {
+        return (reportData?.overview?.generatedAt || new Date().toISOString()).replace(/[^0-9]/g, '').slice(0, 14);
+    }
+
+    function downloadBlob(content, fileName, mime) {
+        const url = URL.createObjectURL(new Blob([content], { type: mime }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function setupExportMenus() {
+        document.addEventListener('click', e => {
+            const btn = e.target.closest('.export-menu [data-export-format]');
+            if (btn) {
+                const menu = btn.closest('.export-menu');
+                exportTable(menu.dataset.exportTable, btn.dataset.exportFormat);
+                menu.open = false;
+                return;
+            }
+            // Close any open menu when clicking elsewhere
+            qsa('.export-menu[open]').forEach(menu => { if (!menu.contains(e.target)) menu.open = false; });
+        });
+    }
+
+    /* URL State (deep links) */
+    const URL_PAGE_SIZES = ['25', '50', '100', 'all'];
+
+    function getActiveSectionId() {
+        return qs('.section.active')?.id || 'dashboard';
+    }
+
+    function serializeUrlState() {
+        const params = new URLSearchParams();
+        const section = getActiveSectionId();
+        if (section !== 'dashboard') params.set('section', section);
+        if (section === 'suites' && selectedSuite) params.set('open', selectedSuite);
+        if (section === 'coverage' && coverageRowKey) {
+            params.set('rows', coverageRowKey);
+            if (coverageColumnKey) params.set('cols', coverageColumnKey);
+        }
+        const search = qs('#searchInput')?.value || '';
+        if (search) params.set('q', search);
+        const status = qs('#statusFilter')?.value || '';
+        if (status) params.set('status', status);
+        const suite = qs('#suiteFilter')?.value || '';
+        if (suite) params.set('suite', suite);
+        if (diffFilter) params.set('diff', diffFilter);
+        facetSelection.forEach(facet => params.append('facet', facet));
+        if (facetSelection.size && facetMode === 'any') params.set('match', 'any');
+        if (sortField) {
+            params.set('sort', sortField);
+            params.set('dir', sortDirection);
+        }
+        if (String(pageSize) !== '25') params.set('size', String(pageSize));
+        if (currentPage > 1) params.set('page', String(currentPage));
+        return params;
+    }
+
+    function parseUrlState() {
+        const raw = location.hash.replace(/^#/, '');
+        // Plain anchors (e.g. #failure-analysis) from older links select a section only
+        if (raw && !raw.includes('=')) return new URLSearchParams({ section: decodeURIComponent(raw) });
+        return new URLSearchParams(raw);
+    }
+
+    // Coalesces the several state changes one interaction can cause into a single history entry
+    function scheduleUrlStateWrite() {
+        if (restoringUrlState || urlStateWritePending) return;
+        urlStateWritePending = true;
+        setTimeout(() => {
+            urlStateWritePending = false;
+            writeUrlState();
+        }, 0);
+    }
+
+    function writeUrlState() {
+        const next = serializeUrlState();
+        const current = parseUrlState();
+        if (next.toString() === current.toString()) return;
+        const hash = next.toString() ? '#' + next.toString() : location.pathname + location.search;
+        // Typing in the search box refines the current view rather than creating a new one
+        const onlySearchChanged = [...new Set([...next.keys(), ...current.keys()])].every(k => k === 'q' || next.getAll(k).join() === current.getAll(k).join());
+        try {
+            if (onlySearchChanged) history.replaceState(null, '', hash);
+            else history.pushState(null, '', hash);
+        } catch (e) {
+            console.warn('Unable to update URL state:', e.message);
+        }
+    }
+
+    function restoreUrlState() {
+        const params = parseUrlState();
+        restoringUrlState = true;
+        try {
+            const setControl = (selector, value) => {
+                const el = qs(selector);
+                if (!el) return;
+                el.value = value;
+                // Unknown option values (e.g. a suite missing from this run) fall back to "All"
+                if (el.tagName === 'SELECT' && el.value !== value) el.value = '';
+            };
+            setControl('#searchInput', params.get('q') || '');
+            setControl('#statusFilter', params.get('status') || '');
+            setControl('#suiteFilter', params.get('suite') || '');
+
+            facetSelection = new Set(params.getAll('facet').filter(facet => facet.includes(':')));
+            facetMode = params.get('match') === 'any' ? 'any' : 'all';
+
+            const diff = params.get('diff') || '';
+            diffFilter = baselineRun && DIFF_BUCKETS[diff] ? diff : '';
+            setControl('#diffFilter', diffFilter);
+
+            const size = params.get('size') || '25';
+            pageSize = URL_PAGE_SIZES.includes(size) ? (size === 'all' ? 'all' : parseInt(size, 10)) : 25;
+            setControl('#pageSizeSelect', String(pageSize));
+
+            const sort = params.get('sort');
+            sortField = sort && qs(`#testResultsTable th[data-sort="${sort}"]`) ? sort : null;
+            sortDirection = params.get('dir') === 'desc' ? 'desc' : 'asc';
+            updateSortIndicators();
+
+            applyFilters();
+            const page = parseInt(params.get('page') || '1', 10);
+            const totalPages = pageSize === 'all' ? 1 : Math.max(1, Math.ceil(filteredTests.length / pageSize));
+            if (page > 1 && page <= totalPages) changePage(page);
+
+            selectedSuite = params.get('open') || selectedSuite;
+            if (params.has('rows')) {
+                coverageRowKey = params.get('rows');
+                coverageColumnKey = params.get('cols') || '';
+            }
+            const section = params.get('section') || 'dashboard';
+            const target = document.getElementById(section);
+            showSection(target?.classList.contains('section') && !target.hidden ? section : 'dashboard');
+        } finally {
+            restoringUrlState = false;
+        }
     }
 
     function debounce(func, wait) {
@@ -34,6 +34,19 @@ public class AllureTestCase
 
     [JsonPropertyName("parameters")]
     public List<AllureParameter>? Parameters { get; set; }
+
+    [JsonPropertyName("links")]
+    public List<AllureLink>? Links { get; set; }
+}
+
+public class AllureLink
+{
+    [JsonPropertyName("name")]
+    public string? Name { get; set; }
+    [JsonPropertyName("url")]
+    public string? Url { get; set; }
+    [JsonPropertyName("type")]
+    public string? Type { get; set; }
 }
 
 public class AllureParameter
@@ -106,6 +119,9 @@ public class AllureStep
     [JsonPropertyName("time")]
     public AllureTime? Time { get; set; }
 
+    [JsonPropertyName("steps")]
+    public List<AllureStep>? Steps { get; set; }
+
     [JsonPropertyName("attachments")]
     public List<AllureAttachment>? Attachments { get; set; }
 }
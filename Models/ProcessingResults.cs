@@ -11,6 +11,29 @@ public class TestResult
     public string FailureReason { get; set; } = string.Empty;
     public string ScreenshotPath { get; set; } = string.Empty;
     public string ParametersKey { get; set; } = string.Empty;
+    public List<StepTimelineEntry> Steps { get; set; } = new();
+    public TestExecution? Execution { get; set; }
+    public Dictionary<string, List<string>> Labels { get; set; } = new(); // Allure labels and links named in CoverageLabels, keyed by lower-case name
+}
+
+// When and on which worker a test ran; times are Unix epoch milliseconds and include setup/cleanup fixtures
+public class TestExecution
+{
+    public long StartMs { get; set; }
+    public long StopMs { get; set; }
+    public string Host { get; set; } = string.Empty;
+    public string Thread { get; set; } = string.Empty;
+}
+
+// One step of a single test's timeline; offsets are relative to the start of the test's first stage
+public class StepTimelineEntry
+{
+    public string Name { get; set; } = string.Empty;
+    public string Kind { get; set; } = string.Empty;
+    public string Status { get; set; } = string.Empty;
+    public long? StartOffsetMs { get; set; }
+    public long DurationMs { get; set; }
+    public List<StepTimelineEntry> Steps { get; set; } = new();
 }
 
 public class StepTiming
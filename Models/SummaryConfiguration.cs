@@ -48,4 +48,39 @@ public class HtmlReportSettings
     public bool EnableInteractiveFiltering { get; set; } = true;
     public int ShowTopSlowTestsCount { get; set; } = 20;
     public int ShowTopSuitesCount { get; set; } = 5;
+    public FailureRuleSettings FailureRules { get; set; } = new();
+    public string? OwnersFile { get; set; } // CODEOWNERS-style "suite-glob|tag:glob  @team" lines
+    public double ClusterSimilarityThreshold { get; set; } = 0.8; // token-set similarity for merging failure clusters; 1 = exact keys only
+    public string? TriageFile { get; set; } // triage decisions exported from a previous report (JSON)
+    public string? KnownIssuesFile { get; set; } // expected failures (JSON): test IDs or message regexes with ticket and optional expiry
+    public bool IncludeStepTimelines { get; set; } = true; // per-test step data for the waterfall view; disable to shrink very large reports
+    public bool SelfContained { get; set; } // inline styles, script and screenshots so the single HTML file works offline
+    public string? ChartJsFile { get; set; } // local Chart.js bundle to inline in self-contained reports; built-in SVG charts otherwise
+    public string? FontAwesomeCssFile { get; set; } // local Font Awesome all.min.css (with its webfonts folder) to inline in self-contained reports
+    public List<string> CoverageLabels { get; set; } = new() { "epic", "feature", "story", "requirement", "tms" }; // Allure label names and link types carried into the report for coverage
+    public string? RequirementsFile { get; set; } // expected requirement IDs (JSON array or one per line) for the coverage view's uncovered list
+    public string TestCaseIdPattern { get; set; } = @"(?i)\bC\d{4,5}\b"; // regex for test case IDs in tags (case-sensitive unless it starts with (?i)), e.g. @"\b[A-Z][A-Z0-9]+-\d+\b" for JIRA keys
+}
+
+/// <summary>
+/// Custom failure categorization rules for the HTML report's client-side failure analysis
+/// </summary>
+public class FailureRuleSettings
+{
+    /// <summary>"Extend" adds the rules to the built-in Selenium/NUnit rules, "Replace" uses only these rules</summary>
+    public string Mode { get; set; } = "Extend";
+    public List<FailureRule> Rules { get; set; } = new();
+}
+
+public class FailureRule
+{
+    public string Name { get; set; } = string.Empty;
+    public string Pattern { get; set; } = string.Empty;
+    public string Flags { get; set; } = "i";
+    public string Target { get; set; } = "Combined"; // Reason | Step | Combined
+    public int Priority { get; set; } = 50; // lower runs first; built-ins use 100-600
+    public string? KeyPattern { get; set; }
+    public string? BusinessSymptom { get; set; }
+    public string? RootCauseSignal { get; set; }
+    public string? NextAction { get; set; }
 }
\ No newline at end of file
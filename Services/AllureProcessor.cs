@@ -12,6 +12,7 @@ public class AllureProcessor
     private readonly string _attachmentsPath;
     private readonly string _imagesOutputPath;
     private readonly SummaryService _summaryService;
+    private readonly HashSet<string> _coverageLabels;
 
     public AllureProcessor(ProcessingConfig config, SummaryConfiguration? summaryConfig = null)
     {
@@ -20,6 +21,7 @@ public class AllureProcessor
         _attachmentsPath = Path.Combine(config.AllureReportPath, "data", "attachments");
         _imagesOutputPath = Path.Combine(config.OutputPath, "images");
         _summaryService = new SummaryService(summaryConfig ?? new SummaryConfiguration());
+        _coverageLabels = new HashSet<string>((summaryConfig ?? new SummaryConfiguration()).HtmlReportSettings.CoverageLabels, StringComparer.OrdinalIgnoreCase);
     }
 
     public async Task<ProcessingResults> ProcessAllureReportAsync()
@@ -143,7 +145,10 @@ public class AllureProcessor
             FailingStep = failingStep,
             FailureReason = failureReason,
             ScreenshotPath = screenshotPath,
-            ParametersKey = parametersKey
+            ParametersKey = parametersKey,
+            Steps = ExtractStepTimeline(testCase),
+            Execution = ExtractExecution(testCase),
+            Labels = ExtractCoverageLabels(testCase)
         });
     }
 
@@ -168,6 +173,18 @@ public class AllureProcessor
         return string.Join(", ", tagLabels);
     }
 
+    private Dictionary<string, List<string>> ExtractCoverageLabels(AllureTestCase testCase)
+    {
+        // Links count under their type, e.g. a "tms" link named TMS-12 becomes tms: TMS-12
+        var labels = (testCase.Labels ?? new List<AllureLabel>()).Select(l => (Name: l.Name, Value: l.Value))
+            .Concat((testCase.Links ?? new List<AllureLink>()).Select(l => (Name: l.Type, Value: l.Name ?? l.Url)));
+
+        return labels
+            .Where(l => !string.IsNullOrWhiteSpace(l.Name) && !string.IsNullOrWhiteSpace(l.Value) && _coverageLabels.Contains(l.Name!))
+            .GroupBy(l => l.Name!.ToLowerInvariant())
+            .ToDictionary(g => g.Key, g => g.Select(l => l.Value!.Trim()).Distinct().ToList());
+    }
+
     private string ExtractParametersKey(AllureTestCase testCase)
     {
         if (testCase.Parameters == null || testCase.Parameters.Count == 0)
@@ -365,6 +382,60 @@ public class AllureProcessor
         return stepTimings;
     }
 
+    private List<StepTimelineEntry> ExtractStepTimeline(AllureTestCase testCase)
+    {
+        var beforeStages = testCase.BeforeStages ?? new List<AllureStage>();
+        var afterStages = testCase.AfterStages ?? new List<AllureStage>();
+        var testSteps = testCase.TestStage?.Steps ?? new List<AllureStep>();
+
+        // Setup stages usually start before the test case itself
+        var starts = beforeStages.Select(s => s.Time?.Start ?? 0)
+            .Append(testCase.Time?.Start ?? 0)
+            .Where(start => start > 0)
+            .ToList();
+        var origin = starts.Count > 0 ? starts.Min() : 0;
+
+        var timeline = new List<StepTimelineEntry>();
+        timeline.AddRange(beforeStages.Select(s => ToTimelineEntry(s.Name, s.Status, s.Time, s.Steps, "Setup", origin)));
+        timeline.AddRange(testSteps.Select(s => ToTimelineEntry(s.Name, s.Status, s.Time, s.Steps, "Test Step", origin)));
+        timeline.AddRange(afterStages.Select(s => ToTimelineEntry(s.Name, s.Status, s.Time, s.Steps, "Cleanup", origin)));
+        return timeline;
+    }
+
+    private static TestExecution? ExtractExecution(AllureTestCase testCase)
+    {
+        // The worker is busy from the first setup fixture until the last cleanup fixture finishes
+        var times = (testCase.BeforeStages ?? new List<AllureStage>()).Select(s => s.Time)
+            .Concat((testCase.AfterStages ?? new List<AllureStage>()).Select(s => s.Time))
+            .Append(testCase.Time)
+            .Where(t => t != null && t.Start > 0 && t.Stop >= t.Start)
+            .ToList();
+        if (times.Count == 0) return null;
+
+        return new TestExecution
+        {
+            StartMs = times.Min(t => t!.Start),
+            StopMs = times.Max(t => t!.Stop),
+            Host = testCase.Labels?.FirstOrDefault(l => l.Name == "host")?.Value ?? string.Empty,
+            Thread = testCase.Labels?.FirstOrDefault(l => l.Name == "thread")?.Value ?? string.Empty
+        };
+    }
+
+    private static StepTimelineEntry ToTimelineEntry(string? name, string? status, AllureTime? time, List<AllureStep>? children, string kind, long origin)
+    {
+        var start = time?.Start ?? 0;
+        var stop = time?.Stop ?? 0;
+        return new StepTimelineEntry
+        {
+            Name = name ?? string.Empty,
+            Kind = kind,
+            Status = status ?? "unknown",
+            StartOffsetMs = start > 0 && origin > 0 ? Math.Max(0, start - origin) : null,
+            DurationMs = time?.Duration > 0 ? time.Duration : Math.Max(0, stop - start),
+            Steps = children?.Select(c => ToTimelineEntry(c.Name, c.Status, c.Time, c.Steps, kind, origin)).ToList() ?? new List<StepTimelineEntry>()
+        };
+    }
+
     private string CategorizeStep(string stepName)
     {
         var lowerStepName = stepName.ToLower();
@@ -394,8 +465,9 @@ public class AllureProcessor
             var screenshotFileName = $"{jsonFileName}_{bestScreenshot.Source}";
             var destinationScreenshotPath = Path.Combine(_imagesOutputPath, screenshotFileName);
 
-            await File.ReadAllBytesAsync(sourceScreenshotPath)
-                .ContinueWith(async bytes => await File.WriteAllBytesAsync(destinationScreenshotPath, bytes.Result));
+            // Finish the copy before returning: self-contained reports read the file back to embed it
+            var bytes = await File.ReadAllBytesAsync(sourceScreenshotPath);
+            await File.WriteAllBytesAsync(destinationScreenshotPath, bytes);
 
             return destinationScreenshotPath;
         }
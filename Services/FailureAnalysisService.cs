@@ -10,9 +10,12 @@ namespace AllureReportProcessor.Services;
 public class FailureAnalysisService
 {
     private readonly SummaryConfiguration _config;
+    private readonly Regex _testCaseIdRegex;
+    private readonly bool _upperCaseTestCaseIds;
     
     // Regex patterns for failure detection
-    private static readonly Regex TestCaseIdRegex = new(@"\bC\d{4,5}\b", RegexOptions.IgnoreCase | RegexOptions.Compiled);
+    private const string DefaultTestCaseIdPattern = @"(?i)\bC\d{4,5}\b";
+    private static readonly Regex InlineModifierRegex = new(@"\(\?[imnsx-]+[:)]", RegexOptions.Compiled);
     private static readonly Regex TimeoutRegex = new(@"timeout|timed out|time out|wait|took too long|timeout exception", RegexOptions.IgnoreCase | RegexOptions.Compiled);
     private static readonly Regex SeleniumRegex = new(@"selenium|webdriver|browser|element|locator|xpath|css selector|stale element|no such element|window|session", RegexOptions.IgnoreCase | RegexOptions.Compiled);
     private static readonly Regex AssertionRegex = new(@"assert|expected|actual|should be|to be|but found|but was|mismatch", RegexOptions.IgnoreCase | RegexOptions.Compiled);
@@ -22,6 +25,32 @@ public class FailureAnalysisService
     public FailureAnalysisService(SummaryConfiguration config)
     {
         _config = config ?? new SummaryConfiguration();
+        _testCaseIdRegex = CreateTestCaseIdRegex(_config.HtmlReportSettings.TestCaseIdPattern);
+        // Same rule as the report script: only a case-insensitive pattern merges IDs that differ by case
+        _upperCaseTestCaseIds = _testCaseIdRegex.ToString().StartsWith("(?i)", StringComparison.Ordinal);
+    }
+
+    /// <summary>
+    /// Builds the test case ID matcher from the configured pattern, falling back to TestRail-style C-numbers
+    /// </summary>
+    private static Regex CreateTestCaseIdRegex(string? pattern)
+    {
+        if (!string.IsNullOrWhiteSpace(pattern))
+        {
+            try
+            {
+                var regex = new Regex(pattern, RegexOptions.Compiled);
+                // The report script turns a leading (?i) into a flag; any other inline modifier fails there
+                if (InlineModifierRegex.IsMatch(pattern.StartsWith("(?i)", StringComparison.Ordinal) ? pattern[4..] : pattern))
+                    Console.WriteLine("TestCaseIdPattern uses inline modifiers other than a leading (?i); the HTML report will fall back to the default pattern");
+                return regex;
+            }
+            catch (ArgumentException ex)
+            {
+                Console.WriteLine($"Invalid TestCaseIdPattern, using the default: {ex.Message}");
+            }
+        }
+        return new Regex(DefaultTestCaseIdPattern, RegexOptions.Compiled);
     }
 
     /// <summary>
@@ -140,7 +169,7 @@ public class FailureAnalysisService
             {
                 patterns.Add(new CommonFailurePattern
                 {
-                    Pattern = $"Step: {group.Key}",
+                    Pattern = StepPatternKey(group.Key),
                     Category = "Step Failure",
                     FailureCount = group.Count(),
                     AffectedTestCases = testCaseIds,
@@ -328,8 +357,8 @@ public class FailureAnalysisService
     {
         if (string.IsNullOrEmpty(tags)) return new List<string>();
         
-        var matches = TestCaseIdRegex.Matches(tags);
-        return matches.Select(m => m.Value.ToUpperInvariant()).Distinct().ToList();
+        var matches = _testCaseIdRegex.Matches(tags);
+        return matches.Select(m => _upperCaseTestCaseIds ? m.Value.ToUpperInvariant() : m.Value).Distinct().ToList();
     }
 
     private List<string> ExtractTestCaseIds(List<TestResult> tests)
@@ -342,6 +371,17 @@ public class FailureAnalysisService
         return allIds.Distinct().ToList();
     }
 
+    /// <summary>
+    /// Keys of the common failure patterns a failed test can fall under: its normalized reason and its normalized failing step
+    /// </summary>
+    public IEnumerable<string> GetFailurePatternKeys(TestResult test)
+    {
+        if (!string.IsNullOrEmpty(test.FailureReason)) yield return NormalizeFailureReason(test.FailureReason);
+        if (!string.IsNullOrEmpty(test.FailingStep)) yield return StepPatternKey(NormalizeFailingStep(test.FailingStep));
+    }
+
+    private static string StepPatternKey(string normalizedStep) => $"Step: {normalizedStep}";
+
     private string NormalizeFailureReason(string reason)
     {
         if (string.IsNullOrEmpty(reason)) return "Unknown";
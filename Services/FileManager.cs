@@ -254,7 +254,7 @@ public class FileManager
     {
         var csv = new StringBuilder();
         var properties = typeof(T).GetProperties()
-            .Where(p => p.Name != "ParametersKey")
+            .Where(p => p.Name != "ParametersKey" && (p.PropertyType == typeof(string) || p.PropertyType.IsValueType))
             .ToArray();
 
         // Write headers
@@ -1,5 +1,6 @@
 ﻿using System.Text;
 using System.Text.Json;
+using System.Text.Json.Nodes;
 using System.Text.RegularExpressions;
 using AllureReportProcessor.Models;
 
@@ -9,6 +10,8 @@ public class HtmlReportService
 {
     private readonly SummaryConfiguration _config;
     private static readonly Regex DurationTokenRegex = new(@"(?<val>\d+(?:\.\d+)?)\s*(?<unit>ms|s|m|h)", RegexOptions.IgnoreCase | RegexOptions.Compiled);
+    private static readonly Regex CssUrlRegex = new(@"url\((?<quote>['""]?)(?<path>[^'"")]+)\k<quote>\)", RegexOptions.Compiled);
+    private static readonly JsonSerializerOptions ReportJsonOptions = new() { PropertyNamingPolicy = JsonNamingPolicy.CamelCase, WriteIndented = false };
 
     public HtmlReportService(SummaryConfiguration config) => _config = config;
 
@@ -17,9 +20,262 @@ public class HtmlReportService
         if (!_config.HtmlReportSettings.EnableHtmlReport) return;
         var outputDir = Path.GetDirectoryName(outputPath)!;
         Directory.CreateDirectory(outputDir);
-        StrictCopyAssets(outputDir);
-        var html = BuildHtml(summary, results);
+        var settings = _config.HtmlReportSettings;
+        if (!settings.SelfContained) StrictCopyAssets(outputDir);
+        var reportJson = JsonSerializer.Serialize(PrepareReportData(summary, results), ReportJsonOptions);
+        var runHistory = LoadRunHistory(outputDir, outputPath);
+        // Screenshots stay out of reportJson so the .json history files remain small
+        var screenshotsJson = settings.SelfContained && settings.IncludeScreenshots ? SerializeEmbeddedScreenshots(results, runHistory, outputDir) : null;
+        var html = BuildHtml(summary, reportJson, runHistory, screenshotsJson);
         await File.WriteAllTextAsync(outputPath, html, new UTF8Encoding(false));
+        // Keep the payload next to the report so later runs can embed it as trend history
+        await File.WriteAllTextAsync(Path.ChangeExtension(outputPath, ".json"), BuildHistoryJson(reportJson), new UTF8Encoding(false));
+    }
+
+    /// <summary>
+    /// The payload for the .json history copy: per-test step trees are replaced by per-step duration statistics
+    /// (count, mean, sample variance over all nesting levels), which is all later runs need for step regressions
+    /// </summary>
+    private static string BuildHistoryJson(string reportJson)
+    {
+        var root = JsonNode.Parse(reportJson)!.AsObject();
+        var durations = new Dictionary<string, List<double>>();
+        void Visit(JsonNode? steps)
+        {
+            if (steps is not JsonArray list) return;
+            foreach (var step in list.OfType<JsonObject>())
+            {
+                var name = step["name"]?.GetValue<string>();
+                if (!string.IsNullOrEmpty(name))
+                {
+                    if (!durations.TryGetValue(name, out var values)) durations[name] = values = new List<double>();
+                    values.Add(step["durationMs"]?.GetValue<long>() ?? 0);
+                }
+                Visit(step["steps"]);
+            }
+        }
+        if (root["testResults"] is JsonArray tests)
+        {
+            foreach (var test in tests.OfType<JsonObject>())
+            {
+                Visit(test["steps"]);
+                test.Remove("steps");
+            }
+        }
+        if (durations.Count > 0)
+        {
+            root["stepStats"] = new JsonArray(durations.Select(d =>
+            {
+                var mean = d.Value.Average();
+                var variance = d.Value.Count > 1 ? d.Value.Sum(v => (v - mean) * (v - mean)) / (d.Value.Count - 1) : 0;
+                return (JsonNode)new JsonObject { ["name"] = d.Key, ["n"] = d.Value.Count, ["mean"] = mean, ["variance"] = variance };
+            }).ToArray());
+        }
+        return root.ToJsonString();
+    }
+
+    private static readonly string[] EmbeddedHistoryFields = { "overview", "suitePerformance", "topSteps", "stepStats" };
+    private static readonly string[] EmbeddedHistoryTestFields = { "suiteName", "testCaseName", "caseTags", "status", "duration", "durationMs", "failureReason", "screenshotFileName" };
+
+    /// <summary>
+    /// An earlier run's payload cut down to what the trend, flaky, run comparison and step regression views read,
+    /// so embedding several runs does not multiply the report size by whole payloads
+    /// </summary>
+    private static string BuildEmbeddedHistoryJson(string historyJson)
+    {
+        // Older .json copies still carry step trees; this turns them into stepStats first
+        var root = JsonNode.Parse(BuildHistoryJson(historyJson))!.AsObject();
+        var embedded = new JsonObject();
+        foreach (var field in EmbeddedHistoryFields) MoveProperty(root, embedded, field);
+        if (root["testResults"] is JsonArray tests)
+        {
+            embedded["testResults"] = new JsonArray(tests.OfType<JsonObject>().Select(test =>
+            {
+                var slim = new JsonObject();
+                foreach (var field in EmbeddedHistoryTestFields) MoveProperty(test, slim, field);
+                return (JsonNode)slim;
+            }).ToArray());
+        }
+        return embedded.ToJsonString();
+    }
+
+    private static void MoveProperty(JsonObject source, JsonObject target, string name)
+    {
+        if (!source.TryGetPropertyValue(name, out var value)) return;
+        source.Remove(name); // a node can only have one parent
+        target[name] = value;
+    }
+
+    /// <summary>
+    /// Collects payloads of earlier reports in the output directory (newest first, capped by HistoricalRunsToCompare)
+    /// </summary>
+    private List<(string Label, string Json)> LoadRunHistory(string outputDir, string outputPath)
+    {
+        var history = new List<(string Label, string Json)>();
+        var settings = _config.QualityAnalysisSettings;
+        if (!settings.EnableTrendAnalysis || settings.HistoricalRunsToCompare <= 0) return history;
+        var currentJson = Path.GetFullPath(Path.ChangeExtension(outputPath, ".json"));
+        var candidates = Directory.GetFiles(outputDir, "TestReport-*.json")
+            .Where(f => !string.Equals(Path.GetFullPath(f), currentJson, StringComparison.OrdinalIgnoreCase))
+            .OrderByDescending(f => Path.GetFileName(f), StringComparer.OrdinalIgnoreCase)
+            .Take(settings.HistoricalRunsToCompare);
+        foreach (var file in candidates)
+        {
+            try
+            {
+                // Parsing validates the file; re-serializing escapes it for the script tag
+                history.Add((Path.GetFileNameWithoutExtension(file), BuildEmbeddedHistoryJson(File.ReadAllText(file))));
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Skipping run history file {Path.GetFileName(file)}: {ex.Message}");
+            }
+        }
+        return history;
+    }
+
+    /// <summary>
+    /// Reads a configured settings file (owners, triage, known issues, ...); the report parses it client-side
+    /// </summary>
+    private static string? LoadSettingsFile(string? path, string description)
+    {
+        var resolved = ResolveSettingsPath(path, description);
+        return resolved == null ? null : File.ReadAllText(resolved);
+    }
+
+    private static string? ResolveSettingsPath(string? path, string description)
+    {
+        if (string.IsNullOrWhiteSpace(path)) return null;
+        var resolved = Path.IsPathRooted(path) ? path : Path.Combine(Directory.GetCurrentDirectory(), path);
+        if (!File.Exists(resolved))
+        {
+            Console.WriteLine($"{description} file not found: {resolved}");
+            return null;
+        }
+        return resolved;
+    }
+
+    /// <summary>
+    /// Screenshot file name -> data URI for every copied screenshot, as JSON. Earlier runs' screenshots of tests
+    /// that have one in this run are included too (from the images folder), so the screenshot comparison works offline
+    /// </summary>
+    private static string SerializeEmbeddedScreenshots(ProcessingResults results, List<(string Label, string Json)> runHistory, string outputDir)
+    {
+        var embedded = new Dictionary<string, string>();
+        var withScreenshot = results.TestResults.Where(t => !string.IsNullOrEmpty(t.ScreenshotPath)).Select(t => (t.SuiteName, t.TestCaseName)).ToHashSet();
+        var baselinePaths = runHistory.SelectMany(run => GetHistoryScreenshotFiles(run.Json, withScreenshot))
+            .Select(fileName => Path.Combine(outputDir, "images", fileName));
+        foreach (var path in results.TestResults.Select(t => t.ScreenshotPath).Where(p => !string.IsNullOrEmpty(p)).Concat(baselinePaths).Distinct())
+        {
+            var fileName = Path.GetFileName(path);
+            if (embedded.ContainsKey(fileName) || !File.Exists(path)) continue;
+            try
+            {
+                embedded[fileName] = ToDataUri(path);
+            }
+            catch (IOException ex)
+            {
+                Console.WriteLine($"Skipping screenshot {fileName} in self-contained report: {ex.Message}");
+            }
+        }
+        return JsonSerializer.Serialize(embedded, ReportJsonOptions);
+    }
+
+    private static IEnumerable<string> GetHistoryScreenshotFiles(string runJson, HashSet<(string, string)> tests)
+    {
+        using var doc = JsonDocument.Parse(runJson);
+        if (!doc.RootElement.TryGetProperty("testResults", out var testResults) || testResults.ValueKind != JsonValueKind.Array) return Array.Empty<string>();
+        var files = new List<string>();
+        foreach (var test in testResults.EnumerateArray())
+        {
+            var fileName = test.TryGetProperty("screenshotFileName", out var f) && f.ValueKind == JsonValueKind.String ? f.GetString() : null;
+            var suite = test.TryGetProperty("suiteName", out var s) && s.ValueKind == JsonValueKind.String ? s.GetString() : null;
+            var name = test.TryGetProperty("testCaseName", out var n) && n.ValueKind == JsonValueKind.String ? n.GetString() : null;
+            // File names only: a payload path must not reach outside the images folder
+            if (!string.IsNullOrEmpty(fileName) && tests.Contains((suite ?? "", name ?? ""))) files.Add(Path.GetFileName(fileName));
+        }
+        return files;
+    }
+
+    private static string ToDataUri(string path) => $"data:{GetMimeType(path)};base64,{Convert.ToBase64String(File.ReadAllBytes(path))}";
+
+    private static string GetMimeType(string path) => Path.GetExtension(path).ToLowerInvariant() switch
+    {
+        ".png" => "image/png",
+        ".jpg" or ".jpeg" => "image/jpeg",
+        ".gif" => "image/gif",
+        ".webp" => "image/webp",
+        ".bmp" => "image/bmp",
+        ".svg" => "image/svg+xml",
+        ".woff2" => "font/woff2",
+        ".woff" => "font/woff",
+        ".ttf" => "font/ttf",
+        _ => "application/octet-stream"
+    };
+
+    private string ReadAsset(string fileName)
+    {
+        var sourceAssets = ResolveAssetsSourceDirectory() ?? throw new DirectoryNotFoundException("Unable to locate 'Assets' directory for report generation.");
+        return File.ReadAllText(Path.Combine(sourceAssets, fileName));
+    }
+
+    /// <summary>
+    /// Reads the configured Font Awesome stylesheet with its url(...) font references inlined as data URIs
+    /// </summary>
+    private string? LoadInlineIconStyles()
+    {
+        var cssPath = ResolveSettingsPath(_config.HtmlReportSettings.FontAwesomeCssFile, "Font Awesome stylesheet");
+        if (cssPath == null) return null;
+        var baseDir = Path.GetDirectoryName(Path.GetFullPath(cssPath))!;
+        return CssUrlRegex.Replace(File.ReadAllText(cssPath), m =>
+        {
+            var reference = m.Groups["path"].Value.Trim();
+            if (reference.StartsWith("data:", StringComparison.OrdinalIgnoreCase) || reference.Contains("://")) return m.Value;
+            var file = Path.GetFullPath(Path.Combine(baseDir, reference.Split('?', '#')[0]));
+            return File.Exists(file) ? $"url({ToDataUri(file)})" : m.Value;
+        });
+    }
+
+    private void AppendStylesheets(StringBuilder sb)
+    {
+        const string iconLink = "<link rel=\"stylesheet\" href=\"https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.0/css/all.min.css\" referrerpolicy=\"no-referrer\">";
+        if (!_config.HtmlReportSettings.SelfContained)
+        {
+            sb.AppendLine(iconLink);
+            sb.AppendLine("<link rel=\"stylesheet\" href=\"Assets/styles.css\" />");
+            return;
+        }
+        // Without a local Font Awesome copy the icons still come from the CDN; everything else works offline
+        var iconStyles = LoadInlineIconStyles();
+        if (iconStyles != null) AppendInlineBlock(sb, "style", iconStyles);
+        else
+        {
+            Console.WriteLine("SelfContained report without a usable FontAwesomeCssFile: icons load from the CDN and are missing offline");
+            sb.AppendLine(iconLink);
+        }
+        AppendInlineBlock(sb, "style", ReadAsset("styles.css"));
+    }
+
+    private void AppendScripts(StringBuilder sb)
+    {
+        if (!_config.HtmlReportSettings.SelfContained)
+        {
+            sb.AppendLine("<script src=\"https://cdn.jsdelivr.net/npm/chart.js\"></script>");
+            sb.AppendLine("<script src=\"Assets/script.js\"></script>");
+            return;
+        }
+        // No bundle configured: the report falls back to its built-in SVG charts
+        var chartJs = LoadSettingsFile(_config.HtmlReportSettings.ChartJsFile, "Chart.js bundle");
+        if (chartJs != null) AppendInlineBlock(sb, "script", chartJs);
+        AppendInlineBlock(sb, "script", ReadAsset("script.js"));
+    }
+
+    private static void AppendInlineBlock(StringBuilder sb, string tag, string content)
+    {
+        sb.AppendLine($"<{tag}>");
+        // A literal closing tag inside the content would end the block early
+        sb.AppendLine(content.Replace($"</{tag}", $"<\\/{tag}", StringComparison.OrdinalIgnoreCase));
+        sb.AppendLine($"</{tag}>");
     }
 
     private void StrictCopyAssets(string outputDir)
@@ -51,9 +307,8 @@ public class HtmlReportService
         return candidates.Distinct().FirstOrDefault(Directory.Exists);
     }
 
-    private string BuildHtml(ProcessingSummary summary, ProcessingResults results)
+    private string BuildHtml(ProcessingSummary summary, string reportJson, List<(string Label, string Json)> runHistory, string? screenshotsJson)
     {
-        var reportData = PrepareReportData(summary, results);
         var sb = new StringBuilder(500_000);
         sb.AppendLine("<!doctype html>");
         sb.AppendLine("<html lang=\"en\">");
@@ -61,8 +316,7 @@ public class HtmlReportService
         sb.AppendLine("<meta charset=\"utf-8\" />");
         sb.AppendLine("<meta name=\"viewport\" content=\"width=device-width, initial-scale=1\" />");
         sb.AppendLine("<title>Allure Test Report</title>");
-        sb.AppendLine("<link rel=\"stylesheet\" href=\"https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.0/css/all.min.css\" referrerpolicy=\"no-referrer\">");
-        sb.AppendLine("<link rel=\"stylesheet\" href=\"Assets/styles.css\" />");
+        AppendStylesheets(sb);
         sb.AppendLine("</head>");
         sb.AppendLine("<body data-theme=\"dark\"><div class='app'>");
         BuildHeader(sb); 
@@ -70,17 +324,37 @@ public class HtmlReportService
         BuildDashboard(sb); 
         BuildTestResultsSection(sb); 
         BuildSuitePerformanceSection(sb); 
+        BuildSuitesSection(sb);
         BuildSlowTestsSection(sb); 
         BuildTopStepsSection(sb, summary.TopSlowSteps);
         BuildFailureAnalysisSection(sb); // NEW: Add failure analysis section
+        BuildScreenshotGallerySection(sb);
+        BuildExecutionTimelineSection(sb);
+        BuildFlakyTestsSection(sb);
+        BuildCoverageSection(sb);
+        BuildQualityInsightsSection(sb);
         BuildScreenshotModal(sb);
+        BuildGalleryLightbox(sb);
+        BuildStepTimelineModal(sb);
+        BuildTriageModal(sb);
         sb.AppendLine("</div>");
         sb.AppendLine("<script>function updateStickyOffset(){const h=(document.querySelector('.header')?.offsetHeight||0)+(document.querySelector('.nav')?.offsetHeight||0);document.documentElement.style.setProperty('--sticky-offset',h+'px');}window.addEventListener('load',updateStickyOffset);window.addEventListener('resize',updateStickyOffset);</script>");
         sb.AppendLine("<script id=\"reportData\" type=\"application/json\">");
-        sb.AppendLine(JsonSerializer.Serialize(reportData, new JsonSerializerOptions { PropertyNamingPolicy = JsonNamingPolicy.CamelCase, WriteIndented = false }));
+        sb.AppendLine(reportJson);
         sb.AppendLine("</script>");
-        sb.AppendLine("<script src=\"https://cdn.jsdelivr.net/npm/chart.js\"></script>");
-        sb.AppendLine("<script src=\"Assets/script.js\"></script>");
+        foreach (var (label, json) in runHistory)
+        {
+            sb.AppendLine($"<script class=\"run-history\" type=\"application/json\" data-run-label=\"{Html(label)}\">");
+            sb.AppendLine(json);
+            sb.AppendLine("</script>");
+        }
+        if (screenshotsJson != null)
+        {
+            sb.AppendLine("<script id=\"embeddedScreenshots\" type=\"application/json\">");
+            sb.AppendLine(screenshotsJson);
+            sb.AppendLine("</script>");
+        }
+        AppendScripts(sb);
         sb.AppendLine("</body></html>");
         return sb.ToString();
     }
@@ -88,6 +362,17 @@ public class HtmlReportService
     private object PrepareReportData(ProcessingSummary summary, ProcessingResults results)
     {
         var o = summary.Overview;
+        
+        // Generate failure analysis - Fixed to use actual TestResult objects
+        var failureAnalysisService = new FailureAnalysisService(_config);
+        var failureAnalysis = failureAnalysisService.AnalyzeFailures(results.TestResults);
+        var commonFailures = failureAnalysis.CommonFailures.Take(10).ToList();
+        var commonPatterns = commonFailures.Select(p => p.Pattern).ToHashSet();
+        var failurePatternsByTest = results.TestResults.Where(t => t.Status != "Passed")
+            .Select(t => (Test: t, Patterns: failureAnalysisService.GetFailurePatternKeys(t).Where(commonPatterns.Contains).ToList()))
+            .Where(x => x.Patterns.Count > 0)
+            .ToDictionary(x => x.Test, x => x.Patterns);
+        
         var enriched = results.TestResults.Select(t => new
         {
             t.SuiteName,
@@ -100,11 +385,17 @@ public class HtmlReportService
             t.ScreenshotPath,
             DurationMs = ParseDurationToMs(t.Duration),
             PerformanceCategory = ClassifyPerformance(ParseDurationToMs(t.Duration)),
-            ScreenshotFileName = !string.IsNullOrEmpty(t.ScreenshotPath) ? Path.GetFileName(t.ScreenshotPath) : null
+            ScreenshotFileName = !string.IsNullOrEmpty(t.ScreenshotPath) ? Path.GetFileName(t.ScreenshotPath) : null,
+            Steps = _config.HtmlReportSettings.IncludeStepTimelines && t.Steps.Count > 0 ? t.Steps : null,
+            t.Execution,
+            Labels = t.Labels.Count > 0 ? t.Labels : null,
+            // Common failure patterns the test belongs to, so triage decisions on a pattern reach its tests
+            FailurePatterns = failurePatternsByTest.GetValueOrDefault(t)
         }).ToList();
         double passRate = o.TotalTests > 0 ? (double)o.PassedTests / o.TotalTests * 100 : 0;
         double failureRate = o.TotalTests > 0 ? (double)(o.FailedTests + o.BrokenTests) / o.TotalTests * 100 : 0;
-        int healthScore = CalculateHealthScore(passRate, failureRate, enriched.Count(t => t.Status == "Failed"));
+        int healthFailedCount = enriched.Count(t => t.Status == "Failed");
+        int healthScore = CalculateHealthScore(passRate, failureRate, healthFailedCount);
         var suitePerformance = enriched.GroupBy(t => t.SuiteName).Select(g =>
         {
             long total = g.Sum(x => x.DurationMs); 
@@ -133,13 +424,12 @@ public class HtmlReportService
         var slowTests = enriched.OrderByDescending(t => t.DurationMs).Take(_config.HtmlReportSettings.ShowTopSlowTestsCount).Select(t => new { t.SuiteName, t.TestCaseName, t.Duration, t.Status, t.ScreenshotPath, t.DurationMs, t.PerformanceCategory, t.ScreenshotFileName }).ToList();
         var orderedTests = enriched.OrderBy(t => t.SuiteName).ThenBy(t => t.TestCaseName).ToList();
         
-        // Generate failure analysis - Fixed to use actual TestResult objects
-        var failureAnalysisService = new FailureAnalysisService(_config);
-        var failureAnalysis = failureAnalysisService.AnalyzeFailures(results.TestResults);
+        // Quality analysis (risk, regressions, recommendations) - needs at least one test for its suite statistics
+        var qualityAnalysis = results.TestResults.Count > 0 ? new QualityAnalysisService(_config).AnalyzeTestQuality(results) : null;
         
         return new
         {
-            Overview = new { o.TotalTests, o.PassedTests, o.FailedTests, o.BrokenTests, o.ScreenshotsCopied, PassRate = passRate, FailureRate = failureRate, HealthScore = healthScore, ExecutionTime = o.TotalExecutionTime ?? "0ms", GeneratedAt = DateTime.Now.ToString("yyyy-MM-dd HH:mm:ss") },
+            Overview = new { o.TotalTests, o.PassedTests, o.FailedTests, o.BrokenTests, o.ScreenshotsCopied, PassRate = passRate, FailureRate = failureRate, HealthScore = healthScore, HealthBreakdown = new { FailureRatePenalty = (int)failureRate, FailedTestPenalty = healthFailedCount }, ExecutionTime = o.TotalExecutionTime ?? "0ms", GeneratedAt = DateTime.Now.ToString("yyyy-MM-dd HH:mm:ss") },
             SuitePerformance = suitePerformance,
             SlowTests = slowTests,
             TestResults = orderedTests,
@@ -162,7 +452,7 @@ public class HtmlReportService
                     EnvironmentFailureRate = failureAnalysis.FailureCategories.TotalFailures > 0 ? 
                         (double)failureAnalysis.FailureCategories.EnvironmentIssues / failureAnalysis.FailureCategories.TotalFailures * 100 : 0
                 },
-                CommonFailures = failureAnalysis.CommonFailures.Take(10).ToList(),
+                CommonFailures = commonFailures,
                 TestCaseAnalysis = failureAnalysis.TestCaseAnalysis.Take(20).ToList(),
                 SeleniumAnalysis = new {
                     TotalSeleniumIssues = failureAnalysis.SeleniumAnalysis.TotalSeleniumIssues,
@@ -176,7 +466,21 @@ public class HtmlReportService
                     AverageTimeoutDuration = ""  // Could be calculated if needed
                 }
             },
-            Config = new { IncludeScreenshots = _config.HtmlReportSettings.IncludeScreenshots, EnableInteractiveFiltering = _config.HtmlReportSettings.EnableInteractiveFiltering, PerformanceThresholds = new { CriticalMs = _config.PerformanceThresholds.CriticalThresholdMs, HighMs = _config.PerformanceThresholds.HighThresholdMs, MediumMs = _config.PerformanceThresholds.MediumThresholdMs } }
+            QualityAnalysis = qualityAnalysis == null ? null : new {
+                qualityAnalysis.AnalysisTimestamp,
+                qualityAnalysis.RiskAssessment,
+                qualityAnalysis.RegressionAnalysis,
+                qualityAnalysis.CoverageGaps,
+                qualityAnalysis.CriticalIssues,
+                qualityAnalysis.ActionableRecommendations,
+                qualityAnalysis.ExecutiveSummary
+            },
+            FailureRules = _config.HtmlReportSettings.FailureRules.Rules.Count > 0 ? _config.HtmlReportSettings.FailureRules : null,
+            Owners = LoadSettingsFile(_config.HtmlReportSettings.OwnersFile, "Owners"),
+            Triage = LoadSettingsFile(_config.HtmlReportSettings.TriageFile, "Triage"),
+            KnownIssues = LoadSettingsFile(_config.HtmlReportSettings.KnownIssuesFile, "Known issues"),
+            Requirements = LoadSettingsFile(_config.HtmlReportSettings.RequirementsFile, "Requirements"),
+            Config = new { IncludeScreenshots = _config.HtmlReportSettings.IncludeScreenshots, EnableInteractiveFiltering = _config.HtmlReportSettings.EnableInteractiveFiltering, FlakyTestThreshold = _config.QualityAnalysisSettings.FlakyTestThreshold, ClusterSimilarityThreshold = _config.HtmlReportSettings.ClusterSimilarityThreshold, TestCaseIdPattern = _config.HtmlReportSettings.TestCaseIdPattern, PerformanceDegradationThreshold = _config.AlertingSettings.PerformanceDegradationThreshold, PerformanceThresholds = new { CriticalMs = _config.PerformanceThresholds.CriticalThresholdMs, HighMs = _config.PerformanceThresholds.HighThresholdMs, MediumMs = _config.PerformanceThresholds.MediumThresholdMs } }
         };
     }
 
@@ -191,28 +495,36 @@ public class HtmlReportService
             "<li><a href='#dashboard' class='nav-link active'><i class='fa-solid fa-chart-pie'></i><span class='icon-label'>Dashboard Summary</span></a></li>" +
             "<li><a href='#test-results' class='nav-link'><i class='fa-solid fa-list-check'></i><span class='icon-label'>Test Results</span></a></li>" +
             "<li><a href='#suite-performance' class='nav-link'><i class='fa-solid fa-layer-group'></i><span class='icon-label'>Suite Performance</span></a></li>" +
+            "<li><a href='#suites' class='nav-link'><i class='fa-solid fa-sitemap'></i><span class='icon-label'>Suites</span></a></li>" +
             "<li><a href='#slow-tests' class='nav-link'><i class='fa-solid fa-hourglass-half'></i><span class='icon-label'>Slow Tests</span></a></li>" +
             "<li><a href='#top-steps' class='nav-link'><i class='fa-solid fa-list-ol'></i><span class='icon-label'>Top Steps</span></a></li>" +
             "<li><a href='#failure-analysis' class='nav-link'><i class='fa-solid fa-magnifying-glass-chart'></i><span class='icon-label'>Failure Analysis</span></a></li>" +
+            "<li><a href='#screenshots' class='nav-link'><i class='fa-solid fa-images'></i><span class='icon-label'>Screenshots</span></a></li>" +
+            "<li><a href='#execution-timeline' class='nav-link'><i class='fa-solid fa-timeline'></i><span class='icon-label'>Execution Timeline</span></a></li>" +
+            "<li><a href='#flaky-tests' class='nav-link'><i class='fa-solid fa-shuffle'></i><span class='icon-label'>Flaky Tests</span></a></li>" +
+            "<li><a href='#coverage' class='nav-link'><i class='fa-solid fa-table-cells'></i><span class='icon-label'>Coverage</span></a></li>" +
+            "<li><a href='#quality-insights' class='nav-link'><i class='fa-solid fa-shield-halved'></i><span class='icon-label'>Quality Insights</span></a></li>" +
             "</ul></div></nav>");
     }
 
-    private void BuildDashboard(StringBuilder sb) => sb.AppendLine("<section id='dashboard' class='section active'><div class='container'><h2><i class='fa-solid fa-chart-pie'></i> Dashboard Summary</h2><div class='metrics-grid' id='metricsGrid'></div><div class='charts-row'><div class='chart-container'><canvas id='statusChart'></canvas></div></div></div></section>");
+    private void BuildDashboard(StringBuilder sb) => sb.AppendLine("<section id='dashboard' class='section active'><div class='container'><h2><i class='fa-solid fa-chart-pie'></i> Dashboard Summary</h2><div class='health-row'><button type='button' class='health-gauge' id='healthGauge' aria-expanded='false' aria-controls='healthBreakdown' title='Show how the health score is calculated'></button><div class='health-breakdown' id='healthBreakdown' hidden></div></div><div class='config-warning' id='testCaseIdWarning' role='status' hidden></div><div class='known-issues-warning' id='knownIssuesWarning' role='status' hidden></div><div class='metrics-grid' id='metricsGrid'></div><div class='charts-row with-trends'><div class='chart-container'><div class='svg-chart' id='statusChart'></div></div><div class='chart-container trend-panel' id='trendPanel'><div class='trend-header'><h3><i class='fa-solid fa-chart-line'></i> Run Trends</h3><div class='trend-actions'><span class='trend-runs' id='trendRunsInfo'></span><button type='button' class='view-details-btn' id='loadRunsBtn'>Load previous runs</button><input type='file' id='loadRunsInput' accept='.json,.html' multiple hidden /></div></div><div class='trend-empty' id='trendEmpty'>Drop earlier <code>TestReport-*.json</code> files anywhere on the page to compare runs.</div><div class='trend-charts' id='trendCharts'><div class='trend-chart'><canvas id='passRateTrendChart'></canvas></div><div class='trend-chart'><canvas id='failureTrendChart'></canvas></div><div class='trend-chart'><canvas id='durationTrendChart'></canvas></div></div></div></div></div></section>");
 
     private void BuildTestResultsSection(StringBuilder sb)
     {
-        sb.AppendLine("<section id='test-results' class='section'><div class='container'><h2><i class='fa-solid fa-list-check'></i> Test Results</h2><div class='filters'><div class='filter-group'><input type='text' id='searchInput' placeholder='Search tests or tags...' class='search-input search-with-icon' /></div><div class='filter-group'><select id='statusFilter' class='filter-select'><option value=''>All Status</option><option value='Passed'>Passed</option><option value='Failed'>Failed</option><option value='Broken'>Broken</option></select></div><div class='filter-group'><select id='suiteFilter' class='filter-select'><option value=''>All Suites</option></select></div></div><div class='table-controls'><div class='results-info' id='resultsInfo'></div><div class='pagination-controls'><select id='pageSizeSelect' class='page-size-select'><option value='25'>25 per page</option><option value='50'>50 per page</option><option value='100'>100 per page</option><option value='all'>Show All</option></select><div class='pagination' id='pagination'></div></div></div><div class='table-container'><table id='testResultsTable' class='results-table'><thead><tr><th data-sort='index'>#</th><th data-sort='suiteName'>Suite <span class='sort-indicator'></span></th><th data-sort='testCaseName'>Test Name <span class='sort-indicator'></span></th><th data-sort='status'>Status <span class='sort-indicator'></span></th><th data-sort='durationMs'>Duration <span class='sort-indicator'></span></th><th data-sort='performanceCategory'>Performance <span class='sort-indicator'></span></th><th>Tags</th><th>Failing Step</th><th>Failure Reason</th><th>Screenshot</th></tr></thead><tbody id='testResultsBody'></tbody></table></div></div></section>");
+        sb.AppendLine("<section id='test-results' class='section'><div class='container'><h2><i class='fa-solid fa-list-check'></i> Test Results</h2><div class='results-layout'><aside class='facet-panel' id='facetPanel' aria-label='Facets' hidden><div class='facet-header'><h3><i class='fa-solid fa-filter'></i> Facets</h3><button type='button' class='view-details-btn' id='facetClear' hidden>Clear</button></div><label class='facet-mode'>Match <select id='facetMode' class='filter-select'><option value='all'>all selected (AND)</option><option value='any'>any selected (OR)</option></select></label><div class='facet-groups' id='facetGroups'></div></aside><div class='results-main'><div class='filters'><div class='filter-group'><input type='text' id='searchInput' placeholder='Search tests or tags... (e.g. status:failed tag:smoke duration:&gt;30s)' class='search-input search-with-icon' aria-describedby='searchError' /><div class='search-error' id='searchError' role='alert' hidden></div></div><div class='filter-group'><select id='statusFilter' class='filter-select'><option value=''>All Status</option><option value='Passed'>Passed</option><option value='Failed'>Failed</option><option value='Broken'>Broken</option></select></div><div class='filter-group'><select id='suiteFilter' class='filter-select'><option value=''>All Suites</option></select></div><div class='filter-group diff-control' hidden><select id='baselineSelect' class='filter-select' title='Baseline run to compare against'></select></div><div class='filter-group diff-control' hidden><select id='diffFilter' class='filter-select'><option value=''>All Changes</option><option value='new-failure'>New Failure</option><option value='fixed'>Fixed</option><option value='still-failing'>Still Failing</option><option value='new-test'>New Test</option><option value='removed'>Removed</option></select></div></div><div class='table-controls'><div class='results-info' id='resultsInfo'></div>" + ExportMenu("tests") + "<div class='pagination-controls'><select id='pageSizeSelect' class='page-size-select'><option value='25'>25 per page</option><option value='50'>50 per page</option><option value='100'>100 per page</option><option value='all'>Show All</option></select><div class='pagination' id='pagination'></div></div></div><div class='table-container'><table id='testResultsTable' class='results-table'><thead><tr><th data-sort='index'>#</th><th data-sort='suiteName'>Suite <span class='sort-indicator'></span></th><th data-sort='owner'>Owner <span class='sort-indicator'></span></th><th data-sort='testCaseName'>Test Name <span class='sort-indicator'></span></th><th data-sort='status'>Status <span class='sort-indicator'></span></th><th data-sort='durationMs'>Duration <span class='sort-indicator'></span></th><th data-sort='performanceCategory'>Performance <span class='sort-indicator'></span></th><th>Tags</th><th>Failing Step</th><th>Failure Reason</th><th>Screenshot</th></tr></thead><tbody id='testResultsBody'></tbody></table></div></div></div></div></section>");
     }
 
-    private void BuildSuitePerformanceSection(StringBuilder sb) => sb.AppendLine("<section id='suite-performance' class='section'><div class='container'><h2><i class='fa-solid fa-layer-group'></i> Suite Performance</h2><div class='table-container'><table class='performance-table'><thead><tr><th>#</th><th>Suite Name</th><th>Total Tests</th><th>Passed</th><th>Failed + Broken</th><th>Pass Rate</th><th>Total Duration</th><th>Avg Duration</th><th>Performance</th></tr></thead><tbody id='suitePerformanceBody'></tbody></table></div></div></section>");
+    private void BuildSuitePerformanceSection(StringBuilder sb) => sb.AppendLine("<section id='suite-performance' class='section'><div class='container'><h2><i class='fa-solid fa-layer-group'></i> Suite Performance</h2><div class='chart-panel'><div class='svg-chart' id='suitePassRateChart'></div></div><div class='table-container'><table class='performance-table'><thead><tr><th>#</th><th>Suite Name</th><th>Total Tests</th><th>Passed</th><th>Failed + Broken</th><th>Pass Rate</th><th>Total Duration</th><th>Avg Duration</th><th>Performance</th><th>Trend</th></tr></thead><tbody id='suitePerformanceBody'></tbody></table></div></div></section>");
+
+    private void BuildSuitesSection(StringBuilder sb) => sb.AppendLine("<section id='suites' class='section'><div class='container'><h2><i class='fa-solid fa-sitemap'></i> Suites</h2><div class='suite-browser'><aside class='suite-list-panel'><input type='search' id='suiteSearch' class='search-input' placeholder='Search suites...' aria-label='Search suites' autocomplete='off' /><div class='suite-list-info' id='suiteListInfo'></div><ul class='suite-list' id='suiteList'></ul></aside><div class='suite-detail' id='suiteDetail'></div></div></div></section>");
 
-    private void BuildSlowTestsSection(StringBuilder sb) => sb.AppendLine("<section id='slow-tests' class='section'><div class='container'><h2><i class='fa-solid fa-hourglass-half'></i> Slow Tests</h2><div class='table-container'><table class='slow-tests-table'><thead><tr><th>#</th><th>Test Name</th><th>Suite</th><th>Duration</th><th>Status</th><th>Performance</th><th>Screenshot</th></tr></thead><tbody id='slowTestsBody'></tbody></table></div></div></section>");
+    private void BuildSlowTestsSection(StringBuilder sb) => sb.AppendLine("<section id='slow-tests' class='section'><div class='container'><h2><i class='fa-solid fa-hourglass-half'></i> Slow Tests</h2><div class='section-actions'>" + ExportMenu("slow") + "</div><div class='table-container'><table class='slow-tests-table'><thead><tr><th>#</th><th>Test Name</th><th>Suite</th><th>Duration</th><th>Status</th><th>Performance</th><th>Details</th></tr></thead><tbody id='slowTestsBody'></tbody></table></div><div class='perf-regressions' id='perfRegressions' hidden><div class='perf-regressions-header'><h3><i class='fa-solid fa-arrow-trend-up'></i> Performance Regressions</h3><div class='section-actions'><span class='regression-info' id='regressionInfo'></span><select id='regressionScope' class='filter-select'><option value=''>Tests and steps</option><option value='test'>Tests</option><option value='step'>Steps</option></select><label class='regression-threshold' title='Flag tests and steps that got at least this much slower than the baseline run'>Slower by &ge; <input type='number' id='regressionThreshold' min='1' max='1000' step='1' />%</label>" + ExportMenu("regressions") + "</div></div><div class='table-container'><table class='regressions-table'><thead><tr><th>#</th><th>Type</th><th>Name</th><th>Suite</th><th>Baseline</th><th>Current</th><th>Change</th><th>Trend</th><th>Evidence</th></tr></thead><tbody id='regressionsBody'></tbody></table></div></div></div></section>");
 
     private void BuildTopStepsSection(StringBuilder sb, dynamic topSteps)
     {
         sb.AppendLine("<section id='top-steps' class='section'><div class='container'><h2><i class='fa-solid fa-list-ol'></i> Top Steps</h2>");
         if (topSteps?.Count > 0)
-            sb.AppendLine("<div class='table-container'><table class='steps-table'><thead><tr><th>#</th><th>Step Name</th><th data-sort='minDurationMs'>Min <span class='sort-indicator'></span></th><th data-sort='avgDurationMs'>Avg <span class='sort-indicator'></span></th><th data-sort='maxDurationMs'>Max <span class='sort-indicator'></span></th><th data-sort='totalDurationMs'>Total <span class='sort-indicator'></span></th><th data-sort='count'>Count <span class='sort-indicator'></span></th><th data-sort='failRate'>Fail Rate % <span class='sort-indicator'></span></th><th>Performance</th><th>Reliability</th></tr></thead><tbody id='topStepsBody'></tbody></table></div>");
+            sb.AppendLine("<div class='section-actions'>" + ExportMenu("steps") + "</div><div class='table-container'><table class='steps-table'><thead><tr><th>#</th><th>Step Name</th><th data-sort='minDurationMs'>Min <span class='sort-indicator'></span></th><th data-sort='avgDurationMs'>Avg <span class='sort-indicator'></span></th><th data-sort='maxDurationMs'>Max <span class='sort-indicator'></span></th><th data-sort='totalDurationMs'>Total <span class='sort-indicator'></span></th><th data-sort='count'>Count <span class='sort-indicator'></span></th><th data-sort='failRate'>Fail Rate % <span class='sort-indicator'></span></th><th>Performance</th><th>Reliability</th></tr></thead><tbody id='topStepsBody'></tbody></table></div>");
         else sb.AppendLine("<div class='empty-state'><p>No step timing data available.</p></div>");
         sb.AppendLine("</div></section>");
     }
@@ -221,19 +533,34 @@ public class HtmlReportService
     {
         sb.AppendLine("<section id='failure-analysis' class='section'><div class='container'>");
         sb.AppendLine("<h2><i class='fa-solid fa-magnifying-glass-chart'></i> Failure Analysis</h2>");
+        sb.AppendLine("<div class='failure-rules-bar'><span class='failure-rules-info' id='failureRulesInfo'></span><button type='button' class='view-details-btn' id='loadRulesBtn'><i class='fa-solid fa-sliders'></i> Load rules</button><button type='button' class='view-details-btn' id='resetRulesBtn' hidden>Reset rules</button><input type='file' id='loadRulesInput' accept='.json' hidden /></div>");
+        sb.AppendLine("<div class='failure-rules-bar'><span class='failure-rules-info' id='triageInfo'></span><button type='button' class='view-details-btn' id='exportTriageBtn'><i class='fa-solid fa-file-export'></i> Export triage</button><button type='button' class='view-details-btn' id='importTriageBtn'><i class='fa-solid fa-file-import'></i> Import triage</button><input type='file' id='importTriageInput' accept='.json' hidden /></div>");
+        sb.AppendLine("<div class='failure-rules-bar'><span class='failure-rules-info' id='knownIssuesInfo'></span><button type='button' class='view-details-btn' id='loadKnownIssuesBtn'><i class='fa-solid fa-list-check'></i> Load known issues</button><button type='button' class='view-details-btn' id='resetKnownIssuesBtn' hidden>Reset known issues</button><input type='file' id='loadKnownIssuesInput' accept='.json' hidden /></div>");
         
         // Failure Categorization Overview
         sb.AppendLine("<div class='failure-overview'>");
         sb.AppendLine("<h3><i class='fa-solid fa-chart-column'></i> Failure Categorization</h3>");
         sb.AppendLine("<div class='failure-stats-grid' id='failureStatsGrid'></div>");
+        sb.AppendLine("<div class='chart-panel'><div class='svg-chart' id='failureCategoryChart'></div></div>");
         sb.AppendLine("</div>");
         
+        // Failures by owner (team work queues)
+        sb.AppendLine("<div class='owner-summary'>");
+        sb.AppendLine("<h3><i class='fa-solid fa-users'></i> Failures by Owner</h3>");
+        sb.AppendLine("<div class='failure-rules-bar'><span class='failure-rules-info' id='ownersInfo'></span><button type='button' class='view-details-btn' id='loadOwnersBtn'><i class='fa-solid fa-file-import'></i> Import owners</button><button type='button' class='view-details-btn' id='resetOwnersBtn' hidden>Reset owners</button><input type='file' id='loadOwnersInput' hidden /></div>");
+        sb.AppendLine("<div class='table-container'>");
+        sb.AppendLine("<table class='owner-summary-table'>");
+        sb.AppendLine("<thead><tr><th>Owner</th><th>Failures</th><th>Failed</th><th>Broken</th><th>Suites</th><th>Top Category</th><th>Work Queue</th></tr></thead>");
+        sb.AppendLine("<tbody id='ownerSummaryBody'></tbody>");
+        sb.AppendLine("</table></div></div>");
+        
         // Common Failure Patterns
         sb.AppendLine("<div class='common-failures'>");
         sb.AppendLine("<h3><i class='fa-solid fa-exclamation-triangle'></i> Common Failure Patterns</h3>");
+        sb.AppendLine("<div class='section-actions'><label class='similarity-control' id='similarityControl' hidden title='Merge failure clusters whose normalized messages are at least this similar (1 = exact pattern keys only)'>Similarity <input type='range' id='clusterSimilarity' min='0.5' max='1' step='0.05' /> <output id='clusterSimilarityValue'></output></label>" + ExportMenu("clusters") + "</div>");
         sb.AppendLine("<div class='table-container'>");
         sb.AppendLine("<table class='failure-patterns-table'>");
-        sb.AppendLine("<thead><tr><th>Pattern</th><th>Category</th><th>Count</th><th>Test Cases</th><th>Affected Suites</th><th>Impact</th><th>Recommended Action</th></tr></thead>");
+        sb.AppendLine("<thead><tr><th>Pattern</th><th>Category</th><th>Count</th><th>Test Cases</th><th>Affected Suites</th><th>Impact</th><th>Recommended Action</th><th>Owner</th></tr></thead>");
         sb.AppendLine("<tbody id='commonFailuresBody'></tbody>");
         sb.AppendLine("</table></div></div>");
         
@@ -242,7 +569,7 @@ public class HtmlReportService
         sb.AppendLine("<h3><i class='fa-solid fa-hashtag'></i> Test Case Failure Analysis</h3>");
         sb.AppendLine("<div class='table-container'>");
         sb.AppendLine("<table class='testcase-failures-table'>");
-        sb.AppendLine("<thead><tr><th>Test Case ID</th><th>Failures</th><th>Category</th><th>Primary Reason</th><th>Affected Suites</th><th>Actions</th></tr></thead>");
+        sb.AppendLine("<thead><tr><th>Test Case ID</th><th>Failures</th><th>Category</th><th>Primary Reason</th><th>Affected Suites</th><th>Owner</th><th>Actions</th></tr></thead>");
         sb.AppendLine("<tbody id='testCaseFailuresBody'></tbody>");
         sb.AppendLine("</table></div></div>");
         
@@ -269,7 +596,32 @@ public class HtmlReportService
         sb.AppendLine("</div></section>");
     }
 
-    private void BuildScreenshotModal(StringBuilder sb) => sb.AppendLine("<div id='screenshotModal' class='modal'><div class='modal-content'><div class='modal-header'><h3 id='modalTitle'><i class='fa-solid fa-image'></i> Screenshot</h3><button class='modal-close' id='modalClose' aria-label='Close'>&times;</button></div><div class='modal-body'><div id='modalDetails' class='modal-details'></div><img id='modalImage' src='' alt='Screenshot' loading='lazy' /><div id='modalError' class='modal-error' style='display:none'></div></div></div></div>");
+    private void BuildScreenshotGallerySection(StringBuilder sb) => sb.AppendLine("<section id='screenshots' class='section'><div class='container'><h2><i class='fa-solid fa-images'></i> Screenshots</h2><div class='gallery-controls'><span class='gallery-info' id='galleryInfo'></span><label for='galleryGroup'>Group by</label><select id='galleryGroup' class='filter-select'><option value=''>None</option><option value='suite'>Suite</option><option value='status'>Status</option><option value='cluster'>Failure cluster</option></select></div><div class='gallery' id='screenshotGallery'></div></div></section>");
+
+    private void BuildExecutionTimelineSection(StringBuilder sb) => sb.AppendLine("<section id='execution-timeline' class='section'><div class='container'><h2><i class='fa-solid fa-timeline'></i> Execution Timeline</h2><div class='metrics-grid execution-stats' id='executionStats'></div><div class='gantt-controls'><span class='gantt-info' id='ganttInfo'></span><span class='gantt-legend'><span class='gantt-key status-passed'></span>Passed <span class='gantt-key status-failed'></span>Failed <span class='gantt-key status-broken'></span>Broken <span class='gantt-key gantt-gap'></span>Idle <span class='gantt-key last-lane'></span>Last-finishing lane</span></div><div class='gantt' id='executionGantt'></div></div></section>");
+
+    private void BuildFlakyTestsSection(StringBuilder sb) => sb.AppendLine("<section id='flaky-tests' class='section'><div class='container'><h2><i class='fa-solid fa-shuffle'></i> Flaky Tests</h2><div class='flaky-info' id='flakyInfo'></div><div class='table-container'><table class='flaky-tests-table'><thead><tr><th>#</th><th data-flaky-sort='testCaseName'>Test Name <span class='sort-indicator'></span></th><th data-flaky-sort='suiteName'>Suite <span class='sort-indicator'></span></th><th data-flaky-sort='executions'>Runs <span class='sort-indicator'></span></th><th data-flaky-sort='flips'>Flips <span class='sort-indicator'></span></th><th data-flaky-sort='score'>Flakiness <span class='sort-indicator'></span></th><th data-flaky-sort='lastFlipIndex'>Last Flip <span class='sort-indicator'></span></th><th>Status History</th><th>Last Failure Reason</th></tr></thead><tbody id='flakyTestsBody'></tbody></table></div></div></section>");
+
+    private void BuildCoverageSection(StringBuilder sb) => sb.AppendLine("<section id='coverage' class='section'><div class='container'><h2><i class='fa-solid fa-table-cells'></i> Coverage</h2><div class='coverage-controls'><label>Rows <select id='coverageRows' class='filter-select'></select></label><label>Columns <select id='coverageColumns' class='filter-select'></select></label><span class='coverage-info' id='coverageInfo'></span><span class='coverage-legend'><span class='coverage-key coverage-passed'></span>Passed <span class='coverage-key coverage-mixed'></span>Partly failing <span class='coverage-key coverage-failed'></span>Failing <span class='coverage-key coverage-not-run'></span>Not run</span>" + ExportMenu("coverage") + "</div><div class='table-container'><table class='coverage-table' id='coverageTable'></table></div><div class='coverage-requirements'><div class='failure-rules-bar'><span class='failure-rules-info' id='requirementsInfo'></span><button type='button' class='view-details-btn' id='loadRequirementsBtn'><i class='fa-solid fa-clipboard-list'></i> Load requirements</button><button type='button' class='view-details-btn' id='resetRequirementsBtn' hidden>Reset requirements</button><input type='file' id='loadRequirementsInput' accept='.json,.txt,.csv' hidden /></div><div id='uncoveredRequirements'></div></div></div></section>");
+
+    private void BuildQualityInsightsSection(StringBuilder sb)
+    {
+        sb.AppendLine("<section id='quality-insights' class='section'><div class='container'>");
+        sb.AppendLine("<h2><i class='fa-solid fa-shield-halved'></i> Quality Insights</h2>");
+        sb.AppendLine("<div class='quality-block'><h3><i class='fa-solid fa-file-lines'></i> Executive Summary</h3><div class='quality-summary' id='qualityExecutiveSummary'></div></div>");
+        sb.AppendLine("<div class='quality-block'><h3><i class='fa-solid fa-triangle-exclamation'></i> Risk Assessment</h3><div class='failure-stats-grid' id='qualityRiskGrid'></div><div class='quality-risk-lists' id='qualityRiskLists'></div></div>");
+        sb.AppendLine("<div class='quality-block'><h3><i class='fa-solid fa-arrow-trend-down'></i> Regressions</h3>");
+        sb.AppendLine("<div class='table-container'><table class='regressions-table'><thead><tr><th>Type</th><th>Suite</th><th>Test Name</th><th>Change</th><th>Details</th><th>Impact</th><th>Priority</th></tr></thead><tbody id='qualityRegressionsBody'></tbody></table></div></div>");
+        sb.AppendLine("<div class='quality-block'><h3><i class='fa-solid fa-list-check'></i> Recommendations</h3><div class='recommendations-list' id='qualityRecommendations'></div></div>");
+        sb.AppendLine("</div></section>");
+    }
+
+    private static string ExportMenu(string table) => $"<details class='export-menu' data-export-table='{table}'><summary class='view-details-btn'><i class='fa-solid fa-download'></i> Export</summary><div class='export-options'><button type='button' data-export-format='csv'>CSV</button><button type='button' data-export-format='json'>JSON</button><button type='button' data-export-format='md'>Markdown</button></div></details>";
+
+    private void BuildGalleryLightbox(StringBuilder sb) => sb.AppendLine("<div id='galleryLightbox' class='modal gallery-lightbox' role='dialog' aria-modal='true' aria-labelledby='lightboxTitle'><div class='modal-content lightbox-content'><div class='modal-header'><h3 id='lightboxTitle'></h3><span class='lightbox-counter' id='lightboxCounter'></span><button class='modal-close' id='lightboxClose' type='button' aria-label='Close'>&times;</button></div><div class='lightbox-stage'><button type='button' class='lightbox-nav' id='lightboxPrev' aria-label='Previous screenshot'>&#8249;</button><img id='lightboxImage' src='' alt='' /><button type='button' class='lightbox-nav' id='lightboxNext' aria-label='Next screenshot'>&#8250;</button></div><div class='modal-details' id='lightboxDetails'></div></div></div>");
+    private void BuildStepTimelineModal(StringBuilder sb) => sb.AppendLine("<div id='timelineModal' class='modal'><div class='modal-content timeline-modal-content'><div class='modal-header'><h3 id='timelineTitle'><i class='fa-solid fa-bars-staggered'></i> Step Timeline</h3><button class='modal-close' id='timelineClose' type='button' aria-label='Close'>&times;</button></div><div class='modal-body'><div class='timeline-summary' id='timelineSummary'></div><div class='waterfall' id='timelineChart'></div></div></div></div>");
+    private void BuildTriageModal(StringBuilder sb) => sb.AppendLine("<div id='triageModal' class='modal'><div class='modal-content triage-modal-content'><div class='modal-header'><h3><i class='fa-solid fa-tag'></i> Triage</h3><button class='modal-close' id='triageClose' type='button' aria-label='Close'>&times;</button></div><form class='modal-body triage-form' id='triageForm'><p class='triage-target' id='triageTarget'></p><label>Classification <select id='triageClassification' required></select></label><label>Ticket <input type='text' id='triageTicket' placeholder='e.g. PROJ-123' autocomplete='off' /></label><label>Note <textarea id='triageNote' rows='3'></textarea></label><div class='triage-actions'><button type='button' class='view-details-btn' id='triageClearBtn'>Clear triage</button><button type='submit' class='view-details-btn triage-save'>Save</button></div></form></div></div>");
+    private void BuildScreenshotModal(StringBuilder sb) => sb.AppendLine("<div id='screenshotModal' class='modal'><div class='modal-content'><div class='modal-header'><h3 id='modalTitle'><i class='fa-solid fa-image'></i> Screenshot</h3><button class='modal-close' id='modalClose' aria-label='Close'>&times;</button></div><div class='modal-body'><div id='modalDetails' class='modal-details'></div><div id='modalCompare' class='screenshot-compare' hidden></div><img id='modalImage' src='' alt='Screenshot' loading='lazy' /><div id='modalError' class='modal-error' style='display:none'></div></div></div></div>");
 
     private long ParseDurationToMs(string? duration)
     {
@@ -2,6 +2,7 @@ using AllureReportProcessor.Models;
 using AllureReportProcessor.Utils;
 using System.Text;
 using System.Text.Json;
+using System.Text.RegularExpressions;
 
 namespace AllureReportProcessor.Services;
 
@@ -179,21 +180,36 @@ public class QualityAnalysisService
         return analysis;
     }
 
+    private static readonly string[] CoverageRowKeys = { "requirement", "tms", "story", "feature", "epic" };
+    private static readonly string[] CoverageColumnKeys = { "env", "environment" };
+    private static readonly Regex TagPairRegex = new(@"^([^:=\s][^:=]*?)\s*[:=]\s*(\S.*)$", RegexOptions.Compiled);
+
+    /// <summary>
+    /// Coverage per feature, from the same data as the report's Coverage matrix: the first of requirement, tms,
+    /// story, feature or epic that tests carry (Allure label or key:value tag), else the suite. Gaps are the
+    /// env/environment values a feature has no test in
+    /// </summary>
     private CoverageAnalysis AnalyzeCoverageGaps(ProcessingResults results)
     {
         var analysis = new CoverageAnalysis();
-        
+        var tests = results.TestResults.Select(t => (Test: t, Facets: GetCoverageFacets(t))).ToList();
+        var rowKey = CoverageRowKeys.FirstOrDefault(k => tests.Any(t => t.Facets.ContainsKey(k)));
+        var columnKey = CoverageColumnKeys.FirstOrDefault(k => tests.Any(t => t.Facets.ContainsKey(k)));
+        var columns = tests.SelectMany(t => FacetValues(t.Facets, columnKey)).Distinct().OrderBy(c => c).ToList();
+
         // Analyze test distribution across features/components
-        var featureCoverage = results.TestResults
-            .GroupBy(t => t.SuiteName)
+        var featureCoverage = tests
+            .SelectMany(t => (rowKey == null ? new[] { t.Test.SuiteName } : FacetValues(t.Facets, rowKey)).Select(row => (Row: row, t.Test, t.Facets)))
+            .GroupBy(t => t.Row)
             .Select(g => new FeatureCoverage
             {
                 FeatureName = g.Key,
                 TestCount = g.Count(),
-                PassRate = g.Count(t => t.Status == "Passed") / (double)g.Count() * 100,
-                CoverageGaps = IdentifyCoverageGaps(g.Key, g.ToList()),
-                RiskLevel = AssessFeatureRisk(g.ToList())
+                PassRate = g.Count(t => t.Test.Status == "Passed") / (double)g.Count() * 100,
+                CoverageGaps = IdentifyCoverageGaps(columns, g.SelectMany(t => FacetValues(t.Facets, columnKey))),
+                RiskLevel = AssessFeatureRisk(g.Select(t => t.Test).ToList())
             })
+            .OrderBy(f => f.FeatureName)
             .ToList();
 
         analysis.FeatureCoverage = featureCoverage;
@@ -203,6 +219,42 @@ public class QualityAnalysisService
         return analysis;
     }
 
+    // key -> values from key:value / key=value tags and Allure labels, as the report's facets read them
+    private static Dictionary<string, HashSet<string>> GetCoverageFacets(TestResult test)
+    {
+        var facets = new Dictionary<string, HashSet<string>>();
+        void Add(string key, string value)
+        {
+            if (!facets.TryGetValue(key, out var values)) facets[key] = values = new HashSet<string>();
+            values.Add(value);
+        }
+        foreach (var tag in test.CaseTags.Split(',', StringSplitOptions.TrimEntries | StringSplitOptions.RemoveEmptyEntries))
+        {
+            var pair = TagPairRegex.Match(tag);
+            if (pair.Success) Add(pair.Groups[1].Value.ToLowerInvariant(), pair.Groups[2].Value);
+        }
+        foreach (var (key, values) in test.Labels)
+            foreach (var value in values) Add(key.ToLowerInvariant(), value);
+        return facets;
+    }
+
+    private static IEnumerable<string> FacetValues(Dictionary<string, HashSet<string>> facets, string? key) =>
+        key != null && facets.TryGetValue(key, out var values) ? values : Enumerable.Empty<string>();
+
+    private static List<string> IdentifyCoverageGaps(List<string> columns, IEnumerable<string> covered)
+    {
+        var coveredSet = covered.ToHashSet();
+        return columns.Where(c => !coveredSet.Contains(c)).ToList();
+    }
+
+    private static string AssessFeatureRisk(List<TestResult> tests)
+    {
+        var executed = tests.Count(t => t.Status is "Passed" or "Failed" or "Broken");
+        var failing = tests.Count(t => t.Status is "Failed" or "Broken");
+        if (executed == 0 || failing == executed) return "High";
+        return failing > 0 ? "Medium" : "Low";
+    }
+
     private QualityRiskAssessment AssessQualityRisk(ProcessingResults results)
     {
         var assessment = new QualityRiskAssessment();
@@ -491,8 +543,6 @@ public class QualityAnalysisService
     // Additional helper methods would be implemented here...
     private PerformanceTrendAnalysis AnalyzePerformanceTrends(ProcessingResults results, List<HistoricalTestData>? historicalData) => new();
     private EnvironmentImpactAnalysis AnalyzeEnvironmentImpact(ProcessingResults results) => new();
-    private List<string> IdentifyCoverageGaps(string suiteName, List<TestResult> tests) => new();
-    private string AssessFeatureRisk(List<TestResult> tests) => "Medium";
     private string DetermineFlakyTestAction(double inconsistencyRate) => "Investigate and fix";
     private string ClassifyFlakinessPriority(double inconsistencyRate, string suiteName) => "Medium";
     private string DetermineRegressionImpact(string suiteName) => "Medium";